@@ -1,1081 +1,5935 @@
 import fs from 'fs/promises';
+import { watch, existsSync } from 'fs';
+import os from 'os';
 import path from 'path';
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import { spawn, spawnSync } from 'child_process';
+import { createInterface } from 'readline';
 import { fileURLToPath } from 'url';
 import cron from 'node-cron';
 import nodemailer from 'nodemailer';
+import { ImapFlow } from 'imapflow';
+import { simpleParser } from 'mailparser';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { GoogleAIFileManager } from '@google/generative-ai/server';
+import { extractText, getDocumentProxy } from 'unpdf';
+import YAML from 'yaml';
+import Database from 'better-sqlite3';
 import dotenv from 'dotenv';
 
-dotenv.config();
-
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const RESUME_PATH = path.join(__dirname, 'resume.pdf');
-const JOBS_DB_PATH = path.join(__dirname, 'jobs.json');
-const QUEUE_PATH = path.join(__dirname, 'jobQueue.json');
+// Several candidates: one folder each under candidates/ with their own resume, preferences, .env and database.
+// JOBHUNTER_CANDIDATE selects one; without it, the service starts one process per candidate.
+const CANDIDATES_DIR = path.join(__dirname, 'candidates');
+const CANDIDATE = process.env.JOBHUNTER_CANDIDATE || null;
+const HOME_DIR = CANDIDATE ? path.join(CANDIDATES_DIR, CANDIDATE) : __dirname;
+if (CANDIDATE && (!/^[\w-]+$/.test(CANDIDATE) || !existsSync(HOME_DIR))) {
+  console.error(`❌ Unknown candidate "${CANDIDATE}": expected a folder at ${HOME_DIR}`);
+  process.exit(1);
+}
 
-const EMAIL_INTERVAL_MS = 1 * 60 * 1000; // 1 minute between emails
+// Candidate processes start from the environment before any .env was loaded, so their own .env can set
+// what the shared one also sets (dotenv never overwrites a variable that is already set)
+const BASE_ENV = { ...process.env };
+if (CANDIDATE) dotenv.config({ path: path.join(HOME_DIR, '.env') });
+dotenv.config();
 
-// Initialize Gemini
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const fileManager = new GoogleAIFileManager(process.env.GEMINI_API_KEY);
+const RESUME_PATH = path.join(HOME_DIR, 'resume.pdf');
+// jobs.json / jobQueue.json are only read once, to import them into the SQLite store
+const JOBS_DB_PATH = path.join(HOME_DIR, 'jobs.json');
+const QUEUE_PATH = path.join(HOME_DIR, 'jobQueue.json');
+const STORE_PATH = path.join(HOME_DIR, 'jobhunter.db');
+const PIPELINE_PATH = path.join(HOME_DIR, 'pipeline.json');
+const PROFILE_CACHE_PATH = path.join(HOME_DIR, '.profile_cache.json');
+const CYCLE_LOCK_PATH = path.join(HOME_DIR, 'jobhunter.lock');
+const PROFILE_CACHE_LIMIT = 5; // extractions kept, newest first
+const JOB_SOURCES_PATH = path.join(HOME_DIR, 'jobSources.json');
+
+// Shared across candidates: who emailed which contact, so two candidates don't email the same person
+// within SHARED_CONTACT_DAYS (0 = off)
+const SHARED_STORE_PATH = path.join(__dirname, 'shared.db');
+const SHARED_CONTACT_DAYS = parseFloat(process.env.SHARED_CONTACT_DAYS || '0');
+
+// Transient SMTP failures (4xx, timeouts, dropped connections) are retried in later cycles
+const SEND_MAX_ATTEMPTS = parseInt(process.env.SEND_MAX_ATTEMPTS || '4');
+const SEND_RETRY_BASE_MINUTES = parseInt(process.env.SEND_RETRY_BASE_MINUTES || '60'); // doubled after each failed attempt
+
+// LLM pipeline stages and retry policy for each step
+const PIPELINE_STAGES = ['profile', 'sources', 'jobs', 'contacts', 'drafts'];
+const STAGE_MAX_ATTEMPTS = parseInt(process.env.STAGE_MAX_ATTEMPTS || '3');
+const STAGE_RETRY_DELAY_MS = 5 * 1000; // doubled after each failed attempt
+
+// Job boards to pull postings from, e.g. "greenhouse:stripe,lever:netflix,rss:https://..." (empty = none)
+const JOB_BOARDS = (process.env.JOB_BOARDS || '').split(',').map(s => s.trim()).filter(Boolean);
+const JOB_MAX_AGE_DAYS = parseInt(process.env.JOB_MAX_AGE_DAYS || '30');
+const JOB_LISTINGS_LIMIT = parseInt(process.env.JOB_LISTINGS_LIMIT || '40'); // best-matching listings sent to the LLM
+
+// Review mode: drafted emails wait in the queue until approved via `npm run review`
+const REVIEW_MODE = process.env.REVIEW_MODE === 'true';
+
+// Follow-up steps in days after the original email, e.g. "4,10" (empty = disabled)
+const FOLLOW_UP_STEPS = (process.env.FOLLOW_UP_STEPS || '')
+  .split(',')
+  .map(d => parseInt(d.trim()))
+  .filter(d => d > 0)
+  .sort((a, b) => a - b);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pre-send checks for inferred addresses (MX lookup on by default, SMTP probe opt-in)
+const EMAIL_VERIFY = process.env.EMAIL_VERIFY !== 'false';
+const EMAIL_VERIFY_SMTP_PROBE = process.env.EMAIL_VERIFY_SMTP_PROBE === 'true';
+const EMAIL_VERIFY_SKIP_RISKY = process.env.EMAIL_VERIFY_SKIP_RISKY === 'true';
+
+// LLM provider: gemini (default), openai (any OpenAI-compatible endpoint) or ollama (local server)
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || 'gemini').trim().toLowerCase();
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || '300000');
+const GEMINI_MODEL = 'gemini-3-flash-preview';
+
+// Every provider implements generate(prompt, { search, file, json }) → text.
+// supportsFiles: can read the uploaded resume PDF; supportsSearch: can search the web for jobs and contacts.
+function createGeminiProvider() {
+  const model = process.env.LLM_MODEL || GEMINI_MODEL;
+  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  const fileManager = new GoogleAIFileManager(process.env.GEMINI_API_KEY);
+
+  return {
+    name: 'gemini',
+    model,
+    supportsFiles: true,
+    supportsSearch: true,
+
+    // Uploads are kept for about 48 hours; expiresAt says when this one goes away
+    async uploadFile(filePath, mimeType) {
+      const uploadResult = await fileManager.uploadFile(filePath, { mimeType, displayName: 'Resume' });
+      const { uri, name, expirationTime } = uploadResult.file;
+      return { uri, name, mimeType: uploadResult.file.mimeType, expiresAt: expirationTime || null };
+    },
 
-// Email configuration from environment
-const SENDER_EMAIL = process.env.SENDER_EMAIL || process.env.SMTP_USER;
-const SENDER_NAME = process.env.SENDER_NAME || 'Job Applicant';
+    async deleteFile(name) {
+      await fileManager.deleteFile(name);
+    },
 
-// Create email transporter (supports Gmail and other SMTP providers)
-function createTransporter() {
-  const host = process.env.SMTP_HOST || 'smtp.gmail.com';
-  const port = parseInt(process.env.SMTP_PORT || '587');
-  const secure = process.env.SMTP_SECURE === 'true' || port === 465;
+    async generate(prompt, { search = false, file = null } = {}) {
+      const generativeModel = genAI.getGenerativeModel({
+        model,
+        ...(search ? { tools: [{ googleSearch: {} }] } : {}),
+      });
 
-  return nodemailer.createTransport({
-    host,
-    port,
-    secure,
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS,
-    },
-  });
+      const parts = [prompt];
+      if (file?.uri) {
+        parts.push({ fileData: { fileUri: file.uri, mimeType: file.mimeType } });
+      }
+
+      const result = await generativeModel.generateContent(parts);
+      return result.response.text();
+    }
+  };
 }
 
-const transporter = createTransporter();
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(LLM_TIMEOUT_MS),
+  });
 
-// JSON file database functions
-async function loadJobsDb() {
-  try {
-    const data = await fs.readFile(JOBS_DB_PATH, 'utf-8');
-    return JSON.parse(data);
-  } catch (error) {
-    return { jobs: [], sentEmails: [], sentCompanies: [] };
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(`${url} returned HTTP ${response.status}: ${text.slice(0, 200)}`);
   }
+  return JSON.parse(text);
 }
 
-async function saveJobsDb(db) {
-  await fs.writeFile(JOBS_DB_PATH, JSON.stringify(db, null, 2));
+function createOpenAICompatibleProvider() {
+  const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const model = process.env.LLM_MODEL || 'gpt-4o-mini';
+  const headers = process.env.OPENAI_API_KEY ? { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } : {};
+
+  return {
+    name: 'openai',
+    model,
+    supportsFiles: false,
+    supportsSearch: false,
+
+    async generate(prompt, { json = false } = {}) {
+      const data = await postJson(`${baseUrl}/chat/completions`, {
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        ...(json ? { response_format: { type: 'json_object' } } : {}),
+      }, headers);
+
+      const content = data.choices?.[0]?.message?.content;
+      if (typeof content !== 'string') throw new Error('OpenAI-compatible response has no message content');
+      return content;
+    }
+  };
 }
 
-// Job Queue functions
-async function loadQueue() {
-  try {
-    const data = await fs.readFile(QUEUE_PATH, 'utf-8');
-    return JSON.parse(data);
-  } catch (error) {
-    return [];
+function createOllamaProvider() {
+  const host = (process.env.OLLAMA_HOST || 'http://127.0.0.1:11434').replace(/\/+$/, '');
+  const model = process.env.LLM_MODEL || 'llama3.1';
+
+  return {
+    name: 'ollama',
+    model,
+    supportsFiles: false,
+    supportsSearch: false,
+
+    async generate(prompt, { json = false } = {}) {
+      const data = await postJson(`${host}/api/chat`, {
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        stream: false,
+        ...(json ? { format: 'json' } : {}),
+      });
+
+      const content = data.message?.content;
+      if (typeof content !== 'string') throw new Error('Ollama response has no message content');
+      return content;
+    }
+  };
+}
+
+const LLM_PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  ollama: createOllamaProvider,
+};
+
+function createLlmProvider() {
+  const createProvider = LLM_PROVIDERS[LLM_PROVIDER];
+  if (!createProvider) {
+    throw new Error(`Unknown LLM_PROVIDER "${LLM_PROVIDER}" (expected one of: ${Object.keys(LLM_PROVIDERS).join(', ')})`);
   }
+  return createProvider();
 }
 
-async function saveQueue(queue) {
-  await fs.writeFile(QUEUE_PATH, JSON.stringify(queue, null, 2));
+const llm = createLlmProvider();
+
+// Providers that can't read the PDF get the extracted resume text appended to the prompt
+async function generateText(prompt, { search = false, file = null, json = false } = {}) {
+  const fullPrompt = file?.text
+    ? `${prompt}\n\nRESUME (text extracted from the PDF):\n${file.text}`
+    : prompt;
+
+  return llm.generate(fullPrompt, { search: search && llm.supportsSearch, file, json });
 }
 
-async function addJobsToQueue(jobs) {
-  const queue = await loadQueue();
-  queue.push(...jobs);
-  await saveQueue(queue);
-  console.log(`📥 Added ${jobs.length} jobs to queue (Total: ${queue.length})`);
+// Sending accounts: the default one from SMTP_*, plus one per id in SMTP_ACCOUNTS read from SMTP_<ID>_*
+// (e.g. SMTP_ACCOUNTS=work → SMTP_WORK_HOST, SMTP_WORK_USER, SMTP_WORK_PASS, ...)
+const OAUTH_PROVIDERS = {
+  gmail: { host: 'smtp.gmail.com', accessUrl: 'https://oauth2.googleapis.com/token' },
+  outlook: { host: 'smtp.office365.com', accessUrl: 'https://login.microsoftonline.com/common/oauth2/v2.0/token' }
+};
+const ACCOUNT_PAUSE_MS = 60 * 60 * 1000; // an account that was rate-limited or rejected rests for an hour
+
+// Password auth, or XOAUTH2 when <prefix>OAUTH_REFRESH_TOKEN is set (nodemailer refreshes the access token).
+// <prefix>OAUTH_TOKEN_URL overrides the provider's token endpoint.
+function createSmtpAccount(id, prefix, senderEmail) {
+  const env = key => process.env[`${prefix}${key}`];
+  const oauthProvider = OAUTH_PROVIDERS[(env('OAUTH_PROVIDER') || 'gmail').toLowerCase()];
+  const useOAuth = Boolean(env('OAUTH_REFRESH_TOKEN'));
+  const host = env('HOST') || (useOAuth ? oauthProvider?.host : null) || 'smtp.gmail.com';
+  const port = parseInt(env('PORT') || '587');
+  const secure = env('SECURE') === 'true' || port === 465;
+  const user = env('USER');
+
+  const required = useOAuth ? ['USER', 'OAUTH_CLIENT_ID', 'OAUTH_CLIENT_SECRET'] : ['USER', 'PASS'];
+  const missing = required.filter(key => !env(key)).map(key => `${prefix}${key}`);
+  if (useOAuth && !oauthProvider && !env('OAUTH_TOKEN_URL')) missing.push(`${prefix}OAUTH_PROVIDER (gmail or outlook)`);
+
+  const auth = useOAuth
+    ? {
+      type: 'OAuth2',
+      user,
+      clientId: env('OAUTH_CLIENT_ID'),
+      clientSecret: env('OAUTH_CLIENT_SECRET'),
+      refreshToken: env('OAUTH_REFRESH_TOKEN'),
+      accessUrl: env('OAUTH_TOKEN_URL') || oauthProvider?.accessUrl,
+    }
+    : { user, pass: env('PASS') };
+
+  const transport = nodemailer.createTransport({ host, port, secure, auth });
+  transport.on('token', () => console.log(`   🔑 Refreshed OAuth2 access token for ${user}`));
+
+  return {
+    id,
+    email: senderEmail || user,
+    authType: useOAuth ? 'oauth2' : 'password',
+    perHour: parseInt(env('PER_HOUR')) || null, // null = sending.perHour from the preferences
+    perDay: parseInt(env('PER_DAY')) || null,
+    missing,
+    transport,
+    pausedUntil: 0,
+    pauseReason: null,
+  };
 }
 
-async function removeJobFromQueue(jobIndex) {
-  const queue = await loadQueue();
-  if (jobIndex >= 0 && jobIndex < queue.length) {
-    const removed = queue.splice(jobIndex, 1);
-    await saveQueue(queue);
-    return removed[0];
+function createSmtpAccounts() {
+  const accounts = [];
+  if (process.env.SMTP_USER || !process.env.SMTP_ACCOUNTS) {
+    accounts.push(createSmtpAccount('default', 'SMTP_', process.env.SENDER_EMAIL));
   }
-  return null;
+  for (const id of (process.env.SMTP_ACCOUNTS || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean)) {
+    const prefix = `SMTP_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    accounts.push(createSmtpAccount(id, prefix, process.env[`${prefix}SENDER_EMAIL`]));
+  }
+  return accounts;
 }
 
-async function getQueueSize() {
-  const queue = await loadQueue();
-  return queue.length;
-}
+const SMTP_ACCOUNTS = createSmtpAccounts();
 
-async function isEmailSent(email) {
-  const db = await loadJobsDb();
-  return db.sentEmails.includes(email.toLowerCase());
+// Email configuration from environment
+const SENDER_EMAIL = SMTP_ACCOUNTS[0]?.email;
+const SENDER_NAME = process.env.SENDER_NAME || 'Job Applicant';
+// List-Unsubscribe mailto target; defaults to the sending account, whose inbox reply detection polls (see IMAP_INBOXES)
+const UNSUBSCRIBE_EMAIL = process.env.UNSUBSCRIBE_EMAIL || null;
+
+// Follow-ups go out from the account that sent the original; records from before accounts existed used the default
+function findSendAccount(sentRecord) {
+  return SMTP_ACCOUNTS.find(a => a.id === (sentRecord.account || 'default'))
+    || SMTP_ACCOUNTS.find(a => a.email?.toLowerCase() === sentRecord.sentFrom?.toLowerCase())
+    || null;
 }
 
-async function isCompanySent(company) {
-  const db = await loadJobsDb();
-  return db.sentCompanies.includes(company.toLowerCase());
+// Inbox polling for replies (disabled unless IMAP_HOST is set). Replies, bounces and List-Unsubscribe mail
+// arrive at whichever account sent the email, so every sending account's inbox is polled.
+// Extra accounts use IMAP_<ID>_* and fall back to the default IMAP settings and their own SMTP login.
+const IMAP_ENABLED = Boolean(process.env.IMAP_HOST);
+
+function createImapInbox(account) {
+  const infix = account.id === 'default' ? '' : `${account.id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  const env = key => process.env[`IMAP_${infix}${key}`] || process.env[`IMAP_${key}`];
+  // Credentials are per account: IMAP_<ID>_USER, else the account's own SMTP login
+  const login = key => process.env[`IMAP_${infix}${key}`] || process.env[`SMTP_${infix}${key}`];
+  const port = parseInt(env('PORT') || '993');
+
+  return {
+    id: account.id,
+    email: account.email,
+    host: env('HOST'),
+    port,
+    secure: env('SECURE') ? env('SECURE') === 'true' : port === 993,
+    user: login('USER'),
+    pass: login('PASS'),
+    mailbox: env('MAILBOX') || 'INBOX',
+  };
 }
 
-async function markJobSent(job, sentRecipients) {
-  const db = await loadJobsDb();
+function getInboxKey(inbox) {
+  return `${inbox.host}|${inbox.user}|${inbox.mailbox}`.toLowerCase();
+}
 
-  db.jobs.push({
-    ...job,
-    status: 'sent',
-    sentAt: new Date().toISOString(),
-    sentRecipients: sentRecipients.map(r => ({ name: r.name, title: r.title, email: r.email }))
+// The IMAP_* inbox is polled even when only SMTP_ACCOUNTS are configured; aliases of one mailbox are polled once
+const IMAP_INBOXES = IMAP_ENABLED
+  ? [{ id: 'default', email: SENDER_EMAIL }, ...SMTP_ACCOUNTS.filter(a => a.id !== 'default')]
+    .map(createImapInbox)
+    .filter(inbox => inbox.user)
+    .filter((inbox, i, all) => all.findIndex(other => getInboxKey(other) === getInboxKey(inbox)) === i)
+  : [];
+
+function createImapClient(inbox) {
+  return new ImapFlow({
+    host: inbox.host,
+    port: inbox.port,
+    secure: inbox.secure,
+    auth: { user: inbox.user, pass: inbox.pass },
+    logger: false,
   });
+}
 
-  for (const recipient of sentRecipients) {
-    if (recipient.email) {
-      db.sentEmails.push(recipient.email.toLowerCase());
-    }
+// SQLite store: job history and the queue live in jobhunter.db. Lookups go through
+// indexed columns; the full record is kept as JSON in `data`, so new fields need no migration.
+const STORE_MIGRATIONS = [
+  // v1: initial schema
+  `CREATE TABLE jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    company TEXT NOT NULL,
+    company_key TEXT NOT NULL,
+    status TEXT NOT NULL,
+    recorded_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX jobs_company_key ON jobs (company_key);
+  CREATE INDEX jobs_status ON jobs (status, recorded_at);
+
+  CREATE TABLE job_recipients (
+    job_id INTEGER NOT NULL REFERENCES jobs (id) ON DELETE CASCADE,
+    email TEXT NOT NULL,
+    PRIMARY KEY (job_id, email)
+  );
+  CREATE INDEX job_recipients_email ON job_recipients (email);
+
+  CREATE TABLE message_ids (
+    message_id TEXT PRIMARY KEY,
+    job_id INTEGER NOT NULL REFERENCES jobs (id) ON DELETE CASCADE,
+    email TEXT NOT NULL
+  );
+
+  CREATE TABLE sent_emails (email TEXT PRIMARY KEY);
+  CREATE TABLE sent_companies (company TEXT PRIMARY KEY);
+  CREATE TABLE invalid_emails (email TEXT PRIMARY KEY);
+  CREATE TABLE email_patterns (
+    domain TEXT NOT NULL,
+    pattern TEXT NOT NULL,
+    sent INTEGER NOT NULL DEFAULT 0,
+    bounced INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (domain, pattern)
+  );
+
+  CREATE TABLE queue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    company_key TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX queue_company_key ON queue (company_key);
+
+  CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);`,
+
+  // v2: send log for hourly/daily quotas, backfilled from sent records and their follow-ups
+  `CREATE TABLE send_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    sent_at TEXT NOT NULL,
+    email TEXT NOT NULL,
+    kind TEXT NOT NULL
+  );
+  CREATE INDEX send_log_sent_at ON send_log (sent_at);
+
+  INSERT INTO send_log (sent_at, email, kind)
+    SELECT COALESCE(json_extract(r.value, '$.sentAt'), jobs.recorded_at), lower(json_extract(r.value, '$.email')), 'outreach'
+    FROM jobs, json_each(jobs.data, '$.sentRecipients') AS r
+    WHERE jobs.status = 'sent' AND json_extract(r.value, '$.email') IS NOT NULL;
+
+  INSERT INTO send_log (sent_at, email, kind)
+    SELECT json_extract(f.value, '$.sentAt'), lower(json_extract(r.value, '$.email')), 'follow_up'
+    FROM jobs, json_each(jobs.data, '$.sentRecipients') AS r, json_each(r.value, '$.followUps') AS f
+    WHERE json_extract(f.value, '$.sentAt') IS NOT NULL AND json_extract(r.value, '$.email') IS NOT NULL;`,
+
+  // v3: quotas are per sending account; everything sent so far came from the default account
+  `ALTER TABLE send_log ADD COLUMN account TEXT NOT NULL DEFAULT 'default';
+  CREATE INDEX send_log_account ON send_log (account, sent_at);`,
+
+  // v4: do-not-contact list; recipients who opted out before it existed are carried over
+  `CREATE TABLE suppressions (
+    kind TEXT NOT NULL CHECK (kind IN ('email', 'domain', 'company')),
+    value TEXT NOT NULL,
+    reason TEXT,
+    added_at TEXT NOT NULL,
+    PRIMARY KEY (kind, value)
+  );
+
+  INSERT OR IGNORE INTO suppressions (kind, value, reason, added_at)
+    SELECT 'email', lower(json_extract(r.value, '$.email')), 'opted out', json_extract(r.value, '$.optedOutAt')
+    FROM jobs, json_each(jobs.data, '$.sentRecipients') AS r
+    WHERE json_extract(r.value, '$.optedOutAt') IS NOT NULL AND json_extract(r.value, '$.email') IS NOT NULL;`,
+
+  // v5: companies resolved to one entity each; history, queue and sent_companies are re-keyed by entity
+  migrateCompanyIdentity,
+
+  // v6: every ATS analysis with the resume version it was made for (`npm run ats`)
+  `CREATE TABLE resume_analyses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    resume_hash TEXT NOT NULL,
+    analyzed_at TEXT NOT NULL,
+    ats_score REAL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX resume_analyses_hash ON resume_analyses (resume_hash, analyzed_at);`
+];
+
+let storePromise = null;
+
+function getStore() {
+  storePromise = storePromise || openStore();
+  return storePromise;
+}
+
+async function openStore() {
+  const db = new Database(STORE_PATH);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrateStore(db);
+  await importLegacyFiles(db);
+  return db;
+}
+
+// Each migration (SQL, or a function for data that needs JS) runs in its own transaction with the user_version bump
+function migrateStore(db) {
+  const version = db.pragma('user_version', { simple: true });
+  for (let v = version; v < STORE_MIGRATIONS.length; v++) {
+    db.transaction(() => {
+      const migration = STORE_MIGRATIONS[v];
+      if (typeof migration === 'function') migration(db);
+      else db.exec(migration);
+      db.pragma(`user_version = ${v + 1}`);
+    })();
   }
-  db.sentCompanies.push(job.company.toLowerCase());
+  if (version < STORE_MIGRATIONS.length && version > 0) {
+    console.log(`🗄️  Database migrated from schema v${version} to v${STORE_MIGRATIONS.length}`);
+  }
+}
 
-  await saveJobsDb(db);
-  console.log(`💾 Saved: ${job.company} (${sentRecipients.length} recipients)`);
+function getMeta(db, key) {
+  const row = db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+  return row ? JSON.parse(row.value) : null;
 }
 
-async function markJobFailed(job, errorMessage) {
-  const db = await loadJobsDb();
+function setMeta(db, key, value) {
+  db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+    .run(key, JSON.stringify(value));
+}
 
-  db.jobs.push({
-    ...job,
-    status: 'failed',
-    errorMessage,
-    failedAt: new Date().toISOString()
-  });
-  db.sentCompanies.push(job.company.toLowerCase());
+// One-time import of jobs.json / jobQueue.json from before the SQLite store.
+// The originals are renamed to *.imported and kept as a backup.
+async function importLegacyFiles(db) {
+  const legacy = {};
+  for (const filePath of [JOBS_DB_PATH, QUEUE_PATH]) {
+    const name = path.basename(filePath);
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw new Error(`Cannot import ${name}: ${error.message}`);
+    }
+    if (getMeta(db, `imported:${name}`)) {
+      console.warn(`⚠️ ${name} was already imported on ${getMeta(db, `imported:${name}`)} — ignoring it`);
+      continue;
+    }
+    legacy[name] = data;
+  }
 
-  await saveJobsDb(db);
-  console.log(`💾 Marked failed: ${job.company}`);
+  const history = legacy[path.basename(JOBS_DB_PATH)];
+  const queue = legacy[path.basename(QUEUE_PATH)];
+  if (!history && !queue) return;
+
+  db.transaction(() => {
+    const now = new Date().toISOString();
+    if (history) {
+      for (const job of history.jobs || []) {
+        insertJobRecord(db, job);
+        for (const recipient of job.status === 'sent' ? job.sentRecipients || [] : []) {
+          if (!recipient.email) continue;
+          logSend(db, recipient.email, 'outreach', recipient.sentAt || job.sentAt, recipient.account);
+          for (const followUp of recipient.followUps || []) {
+            if (followUp.sentAt) logSend(db, recipient.email, 'follow_up', followUp.sentAt, followUp.account || recipient.account);
+          }
+        }
+      }
+      for (const email of history.sentEmails || []) {
+        db.prepare('INSERT OR IGNORE INTO sent_emails (email) VALUES (?)').run(email.toLowerCase());
+      }
+      for (const company of history.sentCompanies || []) {
+        markCompanyContacted(db, resolveCompany(db, { name: company }, { create: true }));
+      }
+      for (const email of history.invalidEmails || []) {
+        db.prepare('INSERT OR IGNORE INTO invalid_emails (email) VALUES (?)').run(email.toLowerCase());
+      }
+      for (const [domain, patterns] of Object.entries(history.emailPatterns || {})) {
+        for (const [pattern, stats] of Object.entries(patterns)) {
+          db.prepare('INSERT OR REPLACE INTO email_patterns (domain, pattern, sent, bounced) VALUES (?, ?, ?, ?)')
+            .run(domain, pattern, stats.sent || 0, stats.bounced || 0);
+        }
+      }
+      if (history.inbox) setMeta(db, 'inbox', history.inbox);
+      setMeta(db, `imported:${path.basename(JOBS_DB_PATH)}`, now);
+    }
+    if (Array.isArray(queue)) {
+      for (const job of queue) insertQueueEntry(db, job);
+      setMeta(db, `imported:${path.basename(QUEUE_PATH)}`, now);
+    }
+  })();
+
+  for (const filePath of [JOBS_DB_PATH, QUEUE_PATH]) {
+    if (legacy[path.basename(filePath)]) await fs.rename(filePath, `${filePath}.imported`);
+  }
+  console.log(`📦 Imported ${history?.jobs?.length || 0} jobs and ${Array.isArray(queue) ? queue.length : 0} queued jobs into ${path.basename(STORE_PATH)} (originals kept as *.imported)`);
 }
 
-async function getSentCompanies() {
-  const db = await loadJobsDb();
-  return db.sentCompanies;
+// Every address and Message-ID on a sent record is indexed for bounce and reply matching
+function indexJobRecord(db, jobId, job) {
+  const addRecipient = db.prepare('INSERT OR IGNORE INTO job_recipients (job_id, email) VALUES (?, ?)');
+  const addMessageId = db.prepare('INSERT OR IGNORE INTO message_ids (message_id, job_id, email) VALUES (?, ?, ?)');
+  for (const recipient of job.sentRecipients || []) {
+    if (!recipient.email) continue;
+    const email = recipient.email.toLowerCase();
+    addRecipient.run(jobId, email);
+    for (const id of [recipient.messageId, ...(recipient.followUps || []).map(f => f.messageId)]) {
+      if (id) addMessageId.run(normalizeMessageId(id), jobId, email);
+    }
+  }
 }
 
-async function getJobStats() {
-  const db = await loadJobsDb();
-  const sent = db.jobs.filter(j => j.status === 'sent').length;
-  const failed = db.jobs.filter(j => j.status === 'failed').length;
-  return { total: db.jobs.length, sent, failed };
+function insertJobRecord(db, job) {
+  const { queueId, ...record } = job;
+  const recordedAt = record.sentAt || record.failedAt || record.rejectedAt || new Date().toISOString();
+  const company = resolveCompany(db, { name: record.company, domain: record.companyDomain }, { create: true });
+  const { lastInsertRowid } = db.prepare(
+    'INSERT INTO jobs (company, company_key, company_id, status, recorded_at, data) VALUES (?, ?, ?, ?, ?, ?)'
+  ).run(record.company || '', companyKey(record.company), company?.id ?? null, record.status || 'unknown', recordedAt, JSON.stringify(record));
+  indexJobRecord(db, lastInsertRowid, record);
+  return lastInsertRowid;
 }
 
-// Upload resume to Gemini File API
-async function uploadResume() {
-  try {
-    console.log('📄 Uploading resume to Gemini...');
-    const uploadResult = await fileManager.uploadFile(RESUME_PATH, {
-      mimeType: 'application/pdf',
-      displayName: 'Resume',
-    });
-    console.log(`✅ Resume uploaded successfully`);
-    return uploadResult.file;
-  } catch (error) {
-    console.error('❌ Failed to upload resume:', error.message);
-    throw error;
-  }
+function logSend(db, email, kind, sentAt = new Date().toISOString(), account = 'default') {
+  db.prepare('INSERT INTO send_log (sent_at, email, kind, account) VALUES (?, ?, ?, ?)')
+    .run(sentAt, email.toLowerCase(), kind, account || 'default');
 }
 
-// Upload resume to Gemini
-const resumeFile = await uploadResume();
+function updateJobRecord(db, jobId, job) {
+  db.prepare('UPDATE jobs SET status = ?, data = ? WHERE id = ?').run(job.status, JSON.stringify(job), jobId);
+  indexJobRecord(db, jobId, job);
+}
 
-function formatTargetArea(type) {
-  const labels = {
-    'indian_mid_startup': '🇮🇳 Indian Mid-Level Startup (Series A-C)',
-    'foreign_startup': '🌍 Foreign/International Startup',
-    'mnc': '🏢 MNC/Large Enterprise',
-    'early_startup': '🚀 Early-Stage Startup (Seed/Pre-Seed)'
-  };
-  return labels[type] || type;
+function loadSentRecipient(db, jobId, email) {
+  const row = db.prepare('SELECT data FROM jobs WHERE id = ?').get(jobId);
+  if (!row) return null;
+  const job = JSON.parse(row.data);
+  const recipient = (job.sentRecipients || []).find(r => r.email?.toLowerCase() === email);
+  return recipient ? { jobId, job, recipient } : null;
 }
 
-function scoreJob(job, profile) {
-  let score = 0;
+// History record and queue removal share one transaction (markJobSent does the same for sent jobs),
+// so a crash can't leave a finished job queued
+async function recordJobOutcome(job, record) {
+  const db = await getStore();
+  db.transaction(() => {
+    insertJobRecord(db, record);
+    if (job.queueId) db.prepare('DELETE FROM queue WHERE id = ?').run(job.queueId);
+  })();
+}
 
-  // Work type priority: remote > hybrid > onsite
-  const workType = (job.workType || '').toLowerCase();
-  if (workType === 'remote') score += 100;
-  else if (workType === 'hybrid') score += 50;
-  else if (workType === 'onsite') score += 10;
-
-  // Company type bonus
-  const companyType = (job.companyType || '').toLowerCase();
-  if (companyType.includes('foreign') || companyType.includes('international')) score += 40;
-  if (companyType.includes('startup')) score += 30;
-  if (job.isFamous) score += 25;
-
-  // Skill match score
-  const jobDescription = `${job.role} ${job.snippet} ${job.requirements || ''}`.toLowerCase();
-  const allSkills = [
-    ...(profile.skills?.programmingLanguages || []),
-    ...(profile.skills?.frameworks || []),
-    ...(profile.skills?.databases || []),
-    ...(profile.skills?.tools || []),
-    ...(profile.skills?.other || [])
-  ];
+function insertSentRecord(db, job, record) {
+  const jobId = insertJobRecord(db, record);
+  recordSentAddresses(db, record.sentRecipients);
+  markCompanyContacted(db, resolveCompany(db, { name: job.company, domain: job.companyDomain }, { create: true }));
+  return jobId;
+}
 
-  let matchedSkills = 0;
-  for (const skill of allSkills) {
-    if (jobDescription.includes(skill.toLowerCase())) matchedSkills++;
+function recordSentAddresses(db, recipients) {
+  for (const recipient of recipients) {
+    if (!recipient.email) continue;
+    db.prepare('INSERT OR IGNORE INTO sent_emails (email) VALUES (?)').run(recipient.email.toLowerCase());
+    if (recipient.emailGuessed) recordPatternOutcome(db, recipient, 'sent');
   }
-  score += matchedSkills * 15;
+}
 
-  // Funding stage bonus
-  const funding = (job.fundingStage || '').toLowerCase();
-  if (funding.includes('series b') || funding.includes('series c')) score += 20;
-  else if (funding.includes('series a')) score += 15;
+// Job Queue functions
+async function loadQueue() {
+  const db = await getStore();
+  return db.prepare('SELECT id, data FROM queue ORDER BY id').all()
+    .map(row => ({ ...JSON.parse(row.data), queueId: row.id }));
+}
 
-  return score;
+function insertQueueEntry(db, job) {
+  const { queueId, ...entry } = job;
+  const company = resolveCompany(db, { name: entry.company, domain: entry.companyDomain }, { create: true });
+  db.prepare('INSERT INTO queue (company_key, company_id, data) VALUES (?, ?, ?)')
+    .run(companyKey(entry.company), company?.id ?? null, JSON.stringify(entry));
 }
 
-function isWorkTypeAllowed(job) {
-  const location = (job.location || '').toLowerCase();
-  const workType = (job.workType || '').toLowerCase();
-  const isKolkata = location.includes('kolkata') || location.includes('calcutta');
+// Writes back queue entries changed in place (review status, edited drafts)
+async function saveQueueEntries(jobs) {
+  const db = await getStore();
+  const update = db.prepare('UPDATE queue SET data = ? WHERE id = ?');
+  db.transaction(() => {
+    for (const { queueId, ...entry } of jobs) update.run(JSON.stringify(entry), queueId);
+  })();
+}
 
-  if (isKolkata) {
-    return true; // onsite, hybrid, remote all OK for Kolkata
+async function addJobsToQueue(jobs) {
+  const db = await getStore();
+  const initialStatus = REVIEW_MODE ? 'pending_review' : 'approved';
+  db.transaction(() => {
+    for (const job of jobs) {
+      insertQueueEntry(db, {
+        ...job,
+        recipients: (job.recipients || []).map(r => ({
+          ...r,
+          reviewId: r.reviewId || createReviewId(),
+          reviewStatus: initialStatus,
+          sendStatus: 'pending',
+        })),
+      });
+    }
+  })();
+  console.log(`📥 Added ${jobs.length} jobs to queue (Total: ${await getQueueSize()})`);
+  if (REVIEW_MODE) {
+    console.log(`📝 Drafts are awaiting review — run \`npm run review -- list\``);
   }
-  return workType === 'remote' || workType === 'hybrid'; // outside Kolkata: no onsite
 }
 
-// Single Gemini call that extracts profile, analyzes resume, and finds jobs
-async function analyzeAndFindJobs(resumeFile) {
-  try {
-    console.log('🤖 Calling Gemini API (profile + analysis + jobs)...');
+// Per-recipient send state is written to the queue entry as soon as each send finishes,
+// and the address is added to sent_emails in the same transaction
+async function updateQueuedRecipient(job, recipient, changes) {
+  const db = await getStore();
+  Object.assign(recipient, changes);
+  db.transaction(() => {
+    if (changes.sendStatus === 'sent') {
+      db.prepare('INSERT OR IGNORE INTO sent_emails (email) VALUES (?)').run(recipient.email.toLowerCase());
+      logSend(db, recipient.email, 'outreach', changes.sentAt, changes.account);
+    }
+    const { queueId, ...entry } = job;
+    db.prepare('UPDATE queue SET data = ? WHERE id = ?').run(JSON.stringify(entry), queueId);
+  })();
+}
 
-    const sentCompanies = await getSentCompanies();
-    const excludeSection = sentCompanies.length > 0
-      ? `
+async function removeJobFromQueue(queueId) {
+  const db = await getStore();
+  return db.prepare('DELETE FROM queue WHERE id = ?').run(queueId).changes > 0;
+}
 
-STRICT EXCLUSION - DO NOT INCLUDE THESE COMPANIES (already contacted):
-${sentCompanies.join(', ')}
+async function getQueueSize() {
+  const db = await getStore();
+  return db.prepare('SELECT COUNT(*) AS count FROM queue').get().count;
+}
 
-DO NOT return any job from the above companies. Find NEW companies only.`
-      : '';
+async function isCompanyQueued(company, domain = null) {
+  const db = await getStore();
+  const entity = resolveCompany(db, { name: company, domain });
+  return Boolean(entity && db.prepare('SELECT 1 FROM queue WHERE company_id = ?').get(entity.id));
+}
 
-    const prompt = `You are a resume parser, career advisor, and job search assistant. Analyze the attached resume PDF and perform ALL tasks in ONE response.
+// Review state helpers
+function createReviewId() {
+  return crypto.randomBytes(4).toString('hex');
+}
 
-TASK 1: Extract candidate profile from the resume
-TASK 2: Analyze the resume for ATS compatibility and career targeting
-TASK 3: Search for matching job openings (last 24-48 hours) using Google Search
-TASK 4: Find multiple contacts per company and generate a unique personalized cold email for each contact
+// Entries queued before review mode existed have no reviewStatus
+function getReviewStatus(recipient) {
+  return recipient.reviewStatus || (REVIEW_MODE ? 'pending_review' : 'approved');
+}
 
-${excludeSection}
+// pending → sending → sent | failed, with retry (waiting for nextAttemptAt) after a transient failure.
+// Entries queued before send tracking existed are pending.
+function getSendStatus(recipient) {
+  return recipient.sendStatus || 'pending';
+}
 
-Return ONLY a valid JSON object with this EXACT structure:
-{
-  "profile": {
-    "name": "Full Name from resume",
-    "email": "email@example.com",
-    "phone": "+1234567890",
-    "location": "City, Country",
-    "linkedIn": "linkedin.com/in/username or null",
-    "github": "github.com/username or null",
-    "portfolio": "portfolio-url.com or null",
-    "summary": "Brief professional summary based on resume (2-3 sentences)",
-    "currentRole": "Current or most recent job title",
-    "yearsOfExperience": 5,
-    "skills": {
-      "programmingLanguages": ["JavaScript", "TypeScript", "Python", "Go"],
-      "frameworks": ["React", "Node.js", "Express", "Next.js"],
-      "databases": ["PostgreSQL", "MongoDB", "Redis"],
-      "tools": ["Docker", "Kubernetes", "AWS", "Git"],
-      "other": ["System Design", "Microservices", "REST APIs"]
-    },
-    "experience": [
-      {
-        "company": "Company Name",
-        "role": "Job Title",
-        "duration": "Jan 2020 - Present",
-        "highlights": ["Achievement 1 with metrics", "Achievement 2 with metrics"]
-      }
-    ],
-    "education": [
-      {
-        "institution": "University Name",
-        "degree": "Degree Name",
-        "year": "2020"
-      }
-    ],
-    "projects": [
-      {
-        "name": "Project Name",
-        "description": "What the project does",
-        "technologies": ["Tech1", "Tech2"],
-        "url": "github.com/user/project or null"
-      }
-    ],
-    "achievements": ["Quantified achievement 1", "Quantified achievement 2"],
-    "certifications": ["Certification 1", "Certification 2"]
-  },
-  "analysis": {
-    "atsScore": 50,
-    "atsScoreBreakdown": {
-      "keywords": 80,
-      "formatting": 90,
-      "experience": 85,
-      "skills": 88
-    },
-    "targetAreas": {
-      "bestFit": "indian_mid_startup",
-      "ranking": [
-        {"type": "indian_mid_startup", "fitScore": 90, "reason": "Strong relevant skills"},
-        {"type": "foreign_startup", "fitScore": 85, "reason": "Good experience level"},
-        {"type": "mnc", "fitScore": 70, "reason": "May need more enterprise experience"},
-        {"type": "early_startup", "fitScore": 75, "reason": "Good for hands-on roles"}
-      ]
-    },
-    "strengths": ["Strength 1", "Strength 2"],
-    "improvements": ["Improvement 1", "Improvement 2"],
-    "keywordsMissing": ["Keyword 1", "Keyword 2"],
-    "recommendedJobTitles": ["Title 1", "Title 2", "Title 3"]
-  },
-  "jobs": [
-    {
-      "company": "Company Name",
-      "role": "Job Title",
-      "snippet": "Brief job description",
-      "requirements": "Key requirements from job posting",
-      "workType": "remote",
-      "companyType": "foreign_startup",
-      "isFamous": true,
-      "fundingStage": "Series B",
-      "location": "Remote",
-      "recipients": [
-        {
-          "email": "cto@company.com",
-          "name": "Jane Doe",
-          "title": "CTO",
-          "emailGuessed": false,
-          "emailSubject": "Unique personalized subject for Jane as CTO",
-          "emailBody": "Unique personalized body addressing Jane's perspective as CTO"
-        },
-        {
-          "email": "john.smith@company.com",
-          "name": "John Smith",
-          "title": "Senior Engineer",
-          "emailGuessed": true,
-          "emailSubject": "Unique personalized subject for John as Senior Engineer",
-          "emailBody": "Unique personalized body addressing John's perspective as Senior Engineer"
-        }
-      ]
-    }
-  ]
+async function getPendingReviewCount() {
+  const queue = await loadQueue();
+  return queue.reduce(
+    (sum, j) => sum + (j.recipients || []).filter(r => getReviewStatus(r) === 'pending_review').length,
+    0
+  );
 }
 
-PROFILE EXTRACTION RULES:
-- Extract ONLY programming languages/technologies as skills, NOT spoken languages (Bengali, Hindi, English are NOT programming skills)
-- "programmingLanguages" should ONLY contain: JavaScript, TypeScript, Python, Go, Java, C++, Rust, etc.
-- Spoken/human languages should be IGNORED completely
-- Extract ACTUAL data from the resume PDF, don't make up information
-- If a field is not found, use null or empty array
-- Be accurate with names, emails, and contact information
-- Extract ALL quantifiable achievements (numbers, percentages, dollar amounts)
-- For yearsOfExperience, calculate from work history dates
+async function isEmailInvalid(email) {
+  const db = await getStore();
+  return Boolean(db.prepare('SELECT 1 FROM invalid_emails WHERE email = ?').get(email.toLowerCase()));
+}
 
-JOB SEARCH RULES:
-- Find 10-15 NEW jobs matching the candidate's ACTUAL tech stack from resume
-- ONLY include jobs that match PROGRAMMING technologies found in the resume
-- DO NOT include jobs requiring technologies not in the resume
+async function isEmailPatternBlocked(recipient) {
+  const db = await getStore();
+  const domain = recipient.email.split('@')[1]?.toLowerCase();
+  const pattern = detectEmailPattern(recipient.name, recipient.email);
+  const stats = db.prepare('SELECT sent, bounced FROM email_patterns WHERE domain = ? AND pattern = ?').get(domain, pattern);
+  return Boolean(stats && isPatternUnreliable(stats));
+}
 
-CULTURE FIT FILTER — CRITICAL:
-The candidate is a builder and project-driven engineer, NOT a competitive programmer. Filter jobs accordingly:
+// Shared contact log (multi-candidate installs): opened by every candidate process, so writers wait for each other
+let sharedStore = null;
+
+function getSharedStore() {
+  if (!sharedStore) {
+    sharedStore = new Database(SHARED_STORE_PATH);
+    sharedStore.pragma('journal_mode = WAL');
+    sharedStore.pragma('busy_timeout = 5000');
+    sharedStore.exec(`CREATE TABLE IF NOT EXISTS shared_contacts (
+      email TEXT NOT NULL,
+      company TEXT,
+      candidate TEXT NOT NULL,
+      sent_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS shared_contacts_email ON shared_contacts (email, sent_at);`);
+  }
+  return sharedStore;
+}
 
-PREFER companies/roles that:
-- Evaluate candidates via portfolio reviews, take-home projects, GitHub profile, or system design discussions
-- Are startups or product companies that care about what you've BUILT, not how fast you solve puzzles
-- Have engineering blogs, open-source culture, or a reputation for practical/pragmatic hiring
-- Mention "real-world experience", "passion for building", "side projects", "portfolio" in their job descriptions
-- Are known for culture-fit and skills-based interviews (e.g., Vercel, Linear, Supabase, Notion, Figma, most YC startups, early-stage product companies)
+function isSharedContactsEnabled() {
+  return Boolean(CANDIDATE) && SHARED_CONTACT_DAYS > 0;
+}
 
-AVOID companies/roles that:
-- Are known for heavy LeetCode / algorithmic / DSA-heavy interview processes (e.g., Google, Meta, Amazon, Microsoft, Goldman Sachs, Tower Research, Citadel, Jane Street, competitive-programming culture shops)
-- Explicitly mention "data structures and algorithms", "competitive programming", "LeetCode", "HackerRank rounds" in job descriptions or known interview culture
-- Are in high-frequency trading, quant finance, or FAANG-tier where DSA is a strict gate
-- Have 5+ interview rounds with algorithm whiteboarding as primary filter
+function recordSharedContact(email, company) {
+  if (!isSharedContactsEnabled()) return;
+  getSharedStore().prepare('INSERT INTO shared_contacts (email, company, candidate, sent_at) VALUES (?, ?, ?, ?)')
+    .run(email.toLowerCase(), company, CANDIDATE, new Date().toISOString());
+}
 
-This is a HARD filter — do not include DSA-heavy companies even if they are famous or well-funded.
+// Another candidate's most recent email to this address within SHARED_CONTACT_DAYS
+function findSharedContact(email) {
+  if (!isSharedContactsEnabled()) return null;
+  const since = new Date(Date.now() - SHARED_CONTACT_DAYS * DAY_MS).toISOString();
+  const row = getSharedStore().prepare(`SELECT candidate, company, sent_at FROM shared_contacts
+    WHERE email = ? AND candidate != ? AND sent_at > ? ORDER BY sent_at DESC LIMIT 1`).get(email.toLowerCase(), CANDIDATE, since);
+  return row ? { candidate: row.candidate, company: row.company, sentAt: row.sent_at, until: new Date(row.sent_at).getTime() + SHARED_CONTACT_DAYS * DAY_MS } : null;
+}
 
-CRITICAL EMAIL SEARCH RULES — TWO-STEP APPROACH:
-- Find EVERY person you can at the company — no role is off-limits: CEO, CTO, Co-Founder, VP Engineering, Head of Engineering, Engineering Manager, Tech Lead, Team Lead, Senior Engineer, Staff Engineer, Principal Engineer, HR, Talent Acquisition, Recruiter, Hiring Manager, anyone relevant
-- The more contacts the better — there is NO upper limit on recipients
-- Each person found = one entry in the recipients array with their OWN unique personalized email
+// Do-not-contact list: single addresses, whole domains (subdomains included) and companies
+const SUPPRESSION_KINDS = ['email', 'domain', 'company'];
 
-STEP 1 — VERIFY (always try first for each person):
-- Search company websites, LinkedIn profiles, GitHub, Twitter, company blogs, press releases
-- If a publicly listed, confirmed email is found → set emailGuessed: false
+function normalizeSuppression(kind, value) {
+  const text = (value || '').trim().toLowerCase();
+  if (kind === 'domain') return text.replace(/^@/, '').replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
+  if (kind === 'company') return normalizeCompanyName(text);
+  return text;
+}
 
-STEP 2 — INFER (fallback if no verified email found for that person):
-- First determine the company's email domain from ANY known source (another employee's visible email, website contact page, press release, etc.)
-- For CEO / CTO / Co-Founder / VP-level (senior leadership): use firstname@companydomain.com
-  Example: Deepinder Goyal at Zomato → deepinder@zomato.com
-- For Engineering Manager / Tech Lead / Senior / Staff / Principal Engineer: use firstname.lastname@companydomain.com
-  Example: Ankan Saha at Hoichoi → ankan.saha@hoichoi.tv
-- Set emailGuessed: true for ALL inferred emails
-- If you cannot determine the company's email domain at all, skip that person entirely
-- If you cannot find the person's real name, skip that person entirely (do not guess names)
+// Returns false when the entry was already on the list
+async function addSuppression(kind, value, reason = null) {
+  const db = await getStore();
+  const { changes } = db.prepare('INSERT OR IGNORE INTO suppressions (kind, value, reason, added_at) VALUES (?, ?, ?, ?)')
+    .run(kind, normalizeSuppression(kind, value), reason, new Date().toISOString());
+  return changes > 0;
+}
 
-COMPANY PRIORITY (search in this order):
-1. FAMOUS/TOP-TIER companies FIRST (Google, Meta, Amazon, Microsoft, Apple, Netflix, Stripe, Vercel, Supabase, Cloudflare, Figma, Notion, Linear, etc.)
-2. WELL-FUNDED UNICORNS (Razorpay, Zerodha, CRED, Meesho, PhonePe, Swiggy, Zomato, Ola, Flipkart, etc.)
-3. SERIES B/C STARTUPS with strong engineering culture
-4. SERIES A STARTUPS only if above not available
-5. Early-stage startups as last resort
+async function removeSuppression(kind, value) {
+  const db = await getStore();
+  return db.prepare('DELETE FROM suppressions WHERE kind = ? AND value = ?').run(kind, normalizeSuppression(kind, value)).changes > 0;
+}
 
-WORK TYPE PRIORITY:
-1. REMOTE positions (fully remote, work from anywhere) - HIGHEST PRIORITY
-2. HYBRID positions (partial remote)
-3. ON-SITE positions ONLY for jobs located in Kolkata, India
-- For jobs OUTSIDE Kolkata: include REMOTE and HYBRID only, skip ON-SITE
-- For jobs IN Kolkata: REMOTE, HYBRID, and ON-SITE are all acceptable
-
-SEARCH STRATEGY FOR JOBS:
-- First search for: "[tech stack from resume] jobs at [famous company names] remote 2026"
-- Then search for: "[job title] remote jobs hiring now"
-- Look for recent job postings (last 24-48 hours)
-- Check company career pages, LinkedIn, Wellfound, levels.fyi
+async function listSuppressions() {
+  const db = await getStore();
+  return db.prepare('SELECT kind, value, reason, added_at AS addedAt FROM suppressions ORDER BY kind, value').all();
+}
 
-SEARCH STRATEGY FOR CONTACTS (CRITICAL):
-- For each company, search exhaustively for as many contacts as possible — no cap
-- Search: "[Company name] CTO email", "[Company name] HR email", "[Company name] recruiter email", "[Company name] hiring manager", "[Company name] VP Engineering email", "[Company name] senior engineer LinkedIn", "[Company name] tech lead email", "[Company name] talent acquisition"
-- Check: Company website team/about/contact pages, LinkedIn profiles, GitHub profiles, Twitter/X, company blogs, press releases, job postings (often list recruiter names)
-- Target everyone: CEO, CTO, Co-Founder, VP Engineering, Head of Engineering, Engineering Manager, Tech Lead, Senior Engineer, Staff Engineer, Principal Engineer, HR, Recruiter, Talent Acquisition, Hiring Manager
-- No limit on how many recipients — find and include every person you can verify or infer
-- For each person: try verified email first (emailGuessed: false), then infer from domain pattern (emailGuessed: true)
-- To find the domain: look for any employee email visible anywhere, or check the company website's contact/about page
-- If you find 0 verified AND cannot determine the domain → set recipients to [] but STILL INCLUDE THE JOB
-- Jobs with empty recipients array will be automatically skipped
+// Returns the first entry that blocks this address / domain / company, or null
+async function findSuppression({ email, domain, company }) {
+  const db = await getStore();
+  const domains = [email?.split('@')[1], domain]
+    .filter(Boolean)
+    .map(d => normalizeSuppression('domain', d))
+    // mail.acme.com is covered by an entry for acme.com
+    .flatMap(d => d.split('.').slice(0, -1).map((_, i) => d.split('.').slice(i).join('.')));
+
+  const checks = [
+    ...(email ? [['email', normalizeSuppression('email', email)]] : []),
+    ...domains.map(d => ['domain', d]),
+    ...(company ? [['company', normalizeSuppression('company', company)]] : [])
+  ];
 
-EMAIL SUBJECT RULES — TWO MODES based on recipient title:
+  const lookup = db.prepare('SELECT kind, value, reason FROM suppressions WHERE kind = ? AND value = ?');
+  for (const [kind, value] of checks) {
+    const row = lookup.get(kind, value);
+    if (row) return row;
+  }
+  return null;
+}
 
-MODE A — HR / Recruiter / Talent Acquisition / Hiring Manager:
-- Use a clean, professional, compelling subject line
-- Should be specific to the role and show genuine interest
-- Examples:
-  * "Interested in [Role] at [Company] — [Candidate Name]"
-  * "[X] years of [Tech Stack] — Excited about [Company]'s mission"
-  * "Strong [Role] candidate — would love to connect"
-  * "[Candidate Name] | [Role] | [Key Skill] specialist"
-- Tone: warm, direct, professional
-- Max 12 words
+function describeSuppression(entry) {
+  return `${entry.kind} ${entry.value} is on the do-not-contact list${entry.reason ? ` (${entry.reason})` : ''}`;
+}
 
-MODE B — Everyone else (CEO, CTO, Co-Founder, VP, Engineering Manager, Tech Lead, Senior/Staff/Principal Engineer, etc.):
-- The subject must be a shocking, provocative, witty punchline — impossible NOT to open
-- It should feel like breaking news, a confession, a dare, or something personal to the recipient and their company
-- Tailor it to their specific title and company — it must feel written ONLY for them
-- Examples of the tone (do not copy exactly, generate fresh ones every time):
-  * "I broke prod at 3 companies. Want me to break yours next?"
-  * "Your engineers are leaving. I know why."
-  * "I reverse-engineered your stack. We need to talk."
-  * "Honestly, I should not be emailing you. But here we are."
-  * "Your CTO said this was a bad idea. I'm doing it anyway."
-  * "I found a bug in your hiring process. It's missing me."
-  * "This is either the best or worst email you'll get today."
-  * "I ghosted 3 offers to wait for the right team. Are you it?"
-  * "Warning: reading this email may cause an urgent hiring decision."
-- Never use: "Application for", "Job opportunity", "Referral request", "Reaching out about"
-- Max 10 words. Punchy. Ruthless. Unmissable.
+// Company identity: "Razorpay", "Razorpay Software Pvt Ltd" and "razorpay.com" resolve to one entity,
+// keyed by its primary domain once one is known. Names match after normalization, then fuzzily.
+const LEGAL_SUFFIXES = [
+  'private', 'pvt', 'limited', 'ltd', 'inc', 'incorporated', 'llc', 'llp', 'corp', 'corporation', 'co', 'company',
+  'gmbh', 'ag', 'sa', 'bv', 'nv', 'plc', 'pte', 'pty', 'sas', 'srl', 'oy', 'ab'
+];
+// Descriptive words dropped from the end along with legal suffixes, e.g. "Infosys Technologies Ltd" → infosys
+const GENERIC_COMPANY_WORDS = ['software', 'technologies', 'technology', 'tech', 'solutions', 'labs', 'systems', 'services', 'group', 'holdings', 'india', 'global'];
+const SECOND_LEVEL_DOMAINS = ['co', 'com', 'net', 'org', 'ac', 'edu', 'gov'];
+
+function looksLikeDomain(text) {
+  return /^(https?:\/\/)?[a-z0-9-]+(\.[a-z0-9-]+)+\/?$/i.test((text || '').trim());
+}
 
-IMPORTANT: Check the recipient's title carefully before choosing MODE A or MODE B.
+// https://careers.razorpay.co.in/ → razorpay.co.in
+function getPrimaryDomain(domain) {
+  const host = (domain || '').trim().toLowerCase().replace(/^https?:\/\//, '').split(/[/:]/)[0].replace(/\.$/, '');
+  const labels = host.split('.').filter(Boolean);
+  if (labels.length < 2) return null;
 
-EMAIL BODY RULES (generate SEPARATELY and UNIQUELY for EACH recipient):
-- Each recipient gets a FULLY UNIQUE email — never duplicate subject or body across recipients at the same company
-- The tone should be: confident, self-aware, slightly audacious — someone they WANT to work with
-- DO NOT make up achievements - only use what's in the resume
-- Tailor the angle to the recipient's title:
-  * CEO/Founder: business impact, growth, execution mindset
-  * CTO/VP Engineering: technical depth, architecture, engineering culture
-  * Engineering Manager/Tech Lead: team collaboration, shipping velocity, mentorship
-  * Senior/Staff/Principal Engineer: specific technologies, code quality, technical details
-  * HR/Recruiter/Talent: enthusiasm, culture fit, eagerness to contribute
+  const [sld, tld] = labels.slice(-2);
+  const keep = labels.length > 2 && tld.length === 2 && SECOND_LEVEL_DOMAINS.includes(sld) ? 3 : 2;
+  return labels.slice(-keep).join('.');
+}
 
-STRICT FORMAT — the emailBody field MUST follow this EXACT structure with blank lines between each section:
+// "Razorpay Software Pvt. Ltd." → razorpay, "razorpay.com" → razorpay, "The Walt Disney Company" → walt disney
+function normalizeCompanyName(name) {
+  let text = (name || '').trim().toLowerCase();
+  if (looksLikeDomain(text)) text = getPrimaryDomain(text)?.split('.')[0] || text;
+
+  const words = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/['’]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(Boolean);
+
+  if (words[0] === 'the' && words.length > 1) words.shift();
+  while (words.length > 1 && [...LEGAL_SUFFIXES, ...GENERIC_COMPANY_WORDS].includes(words[words.length - 1])) words.pop();
+  return words.join(' ');
+}
 
-Hi [First Name],
+// companies.aliases groups map alternate names and domains to the first entry, e.g. [Swiggy, Bundl Technologies]
+function applyCompanyAliases({ name, domain }) {
+  const normalized = normalizeCompanyName(name);
+  const primaryDomain = getPrimaryDomain(domain);
+  const group = CONFIG.companies.aliases.find(entries => entries.some(entry => looksLikeDomain(entry)
+    ? Boolean(primaryDomain) && getPrimaryDomain(entry) === primaryDomain
+    : normalizeCompanyName(entry) === normalized));
+
+  if (!group) return { name, domain };
+  const canonical = group[0];
+  return looksLikeDomain(canonical)
+    ? { name: canonical, domain: domain || canonical }
+    : { name: canonical, domain };
+}
 
-[Opening line — depends on MODE:
-  • MODE A (HR/Recruiter): Skip the apology. Open directly and professionally. E.g. "I came across the [Role] opening at [Company] and genuinely excited about what your team is building."
-  • MODE B (everyone else): Apology for the wild subject — 1 sentence, charming. E.g. "I know — that subject line was a lot. Forgive me, but you opened it, so here we are." / "Yes, dramatic subject. I owe you an apology and a solid pitch — here's both."]
+// Alias keys an entity is looked up by: its primary domain and its normalized name
+function getCompanyAliasKeys(company) {
+  const { name, domain } = applyCompanyAliases(company);
+  const primaryDomain = getPrimaryDomain(domain) || (looksLikeDomain(name) ? getPrimaryDomain(name) : null);
+  const normalized = normalizeCompanyName(name);
+  return [primaryDomain && `domain:${primaryDomain}`, normalized && `name:${normalized}`].filter(Boolean);
+}
 
-[Pitch paragraph — 2-3 sentences. Who the candidate is, what role they want, why THIS company specifically. Tailored to the recipient's role.]
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
 
-[Achievements — 2-3 bullet points, each starting with "•", one line each, quantified where possible from the resume]
+// 0..1; spacing is ignored ("Phone Pe" = "PhonePe") and names under 5 letters must match exactly
+function companyNameSimilarity(a, b) {
+  const x = a.replace(/\s+/g, '');
+  const y = b.replace(/\s+/g, '');
+  if (x === y) return 1;
+  if (Math.min(x.length, y.length) < 5) return 0;
+  return 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+}
 
-[CTA — 1 strong sentence asking for referral or a quick chat. E.g. "Would you be open to referring me, or pointing me to the right person on your team?"]
+// Finds the entity for a company name and/or domain. With create, a new entity is recorded when
+// nothing matches and any new name or domain is remembered as an alias of the matched one.
+function resolveCompany(db, company, { create = false } = {}) {
+  const keys = getCompanyAliasKeys(company);
+  if (keys.length === 0) return null;
+
+  const getEntity = db.prepare('SELECT id, name, domain, created_at FROM companies WHERE id = ?');
+  const findAlias = db.prepare('SELECT company_id FROM company_aliases WHERE alias = ?');
+  let entity = null;
+  for (const key of keys) {
+    const row = findAlias.get(key);
+    if (row) {
+      entity = getEntity.get(row.company_id);
+      break;
+    }
+  }
 
-Best regards,
-[Candidate Full Name]
+  // Fuzzy name match, unless both sides have a domain and the domains differ
+  const domainKey = keys.find(key => key.startsWith('domain:'));
+  const nameKey = keys.find(key => key.startsWith('name:'));
+  if (!entity && nameKey && CONFIG.companies.fuzzyMatch < 1) {
+    let best = 0;
+    for (const row of db.prepare("SELECT alias, company_id FROM company_aliases WHERE alias LIKE 'name:%'").all()) {
+      const score = companyNameSimilarity(nameKey.slice(5), row.alias.slice(5));
+      if (score < CONFIG.companies.fuzzyMatch || score <= best) continue;
+      const candidate = getEntity.get(row.company_id);
+      if (domainKey && candidate.domain && `domain:${candidate.domain}` !== domainKey) continue;
+      best = score;
+      entity = candidate;
+    }
+  }
 
-FORMATTING RULES:
-- Use blank lines (\\n\\n) between each section above — never run sections together
-- Each bullet point on its own line starting with "•"
-- No walls of text — every section is separated and scannable
-- Max 160 words total
+  if (!create) return entity;
 
-IMPORTANT:
-- bestFit must be one of: "indian_mid_startup", "foreign_startup", "mnc", "early_startup"
-- Every email subject and body must be UNIQUE per recipient — same company but different people = completely different emails
-- All data must come from the actual resume PDF provided
-- DO NOT confuse spoken languages with programming languages
-- Return ALL matching jobs - even if you couldn't find contacts (set recipients to [] in that case)
-- Jobs with empty recipients array will be automatically skipped
-- Each email is a request for REFERRAL, not a job application
-- The goal is to have each contact vouch for or refer the candidate to their team`;
-
-    const model = genAI.getGenerativeModel({
-      model: '	gemini-3-flash-preview',
-      tools: [{ googleSearch: {} }],
-    });
+  if (!entity) {
+    const { name } = applyCompanyAliases(company);
+    const { lastInsertRowid } = db.prepare('INSERT INTO companies (name, domain, created_at) VALUES (?, ?, ?)')
+      .run((name || domainKey.slice(7)).trim(), domainKey?.slice(7) || null, new Date().toISOString());
+    entity = getEntity.get(lastInsertRowid);
+  } else if (domainKey && !entity.domain) {
+    db.prepare('UPDATE companies SET domain = ? WHERE id = ?').run(domainKey.slice(7), entity.id);
+    entity = getEntity.get(entity.id);
+  }
 
-    const result = await model.generateContent([
-      prompt,
-      {
-        fileData: {
-          fileUri: resumeFile.uri,
-          mimeType: resumeFile.mimeType,
-        },
-      },
-    ]);
+  const addAlias = db.prepare('INSERT OR IGNORE INTO company_aliases (alias, company_id) VALUES (?, ?)');
+  for (const key of keys) addAlias.run(key, entity.id);
+  return entity;
+}
 
-    const text = result.response.text();
-    console.log('✅ Gemini response received');
+function markCompanyContacted(db, entity) {
+  if (entity) db.prepare('INSERT OR IGNORE INTO sent_companies (company_id) VALUES (?)').run(entity.id);
+}
 
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      console.log('⚠️ No valid JSON found in response');
-      return { profile: null, analysis: null, jobs: [] };
+// v5 migration: entities are built from existing history (oldest first), then the queue and sent_companies
+function migrateCompanyIdentity(db) {
+  db.exec(`CREATE TABLE companies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    domain TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX companies_domain ON companies (domain);
+
+  CREATE TABLE company_aliases (
+    alias TEXT PRIMARY KEY,
+    company_id INTEGER NOT NULL REFERENCES companies (id) ON DELETE CASCADE
+  );
+
+  ALTER TABLE jobs ADD COLUMN company_id INTEGER REFERENCES companies (id);
+  CREATE INDEX jobs_company_id ON jobs (company_id);
+  ALTER TABLE queue ADD COLUMN company_id INTEGER REFERENCES companies (id);
+  CREATE INDEX queue_company_id ON queue (company_id);
+
+  ALTER TABLE sent_companies RENAME TO sent_company_names;
+  CREATE TABLE sent_companies (company_id INTEGER PRIMARY KEY REFERENCES companies (id));`);
+
+  for (const table of ['jobs', 'queue']) {
+    const update = db.prepare(`UPDATE ${table} SET company_id = ? WHERE id = ?`);
+    for (const row of db.prepare(`SELECT id, data FROM ${table} ORDER BY id`).all()) {
+      const { company, companyDomain } = JSON.parse(row.data);
+      update.run(resolveCompany(db, { name: company, domain: companyDomain }, { create: true })?.id ?? null, row.id);
     }
+  }
+  for (const { company } of db.prepare('SELECT company FROM sent_company_names ORDER BY rowid').all()) {
+    markCompanyContacted(db, resolveCompany(db, { name: company }, { create: true }));
+  }
+  db.exec('DROP TABLE sent_company_names');
+}
 
-    const response = JSON.parse(jsonMatch[0]);
-
-    // Display profile info
-    if (response.profile) {
-      const profile = response.profile;
-      console.log('\n' + '═'.repeat(60));
-      console.log('👤 PROFILE EXTRACTED');
-      console.log('═'.repeat(60));
-      console.log(`  📛 Name: ${profile.name}`);
-      console.log(`  📧 Email: ${profile.email}`);
-      console.log(`  💼 Current Role: ${profile.currentRole}`);
-      console.log(`  ⏱️  Experience: ${profile.yearsOfExperience} years`);
-      console.log(`  💻 Languages: ${profile.skills?.programmingLanguages?.join(', ') || 'N/A'}`);
-      console.log(`  🛠️  Frameworks: ${profile.skills?.frameworks?.join(', ') || 'N/A'}`);
-      console.log(`  🗄️  Databases: ${profile.skills?.databases?.join(', ') || 'N/A'}`);
-      console.log(`  🔧 Tools: ${profile.skills?.tools?.join(', ') || 'N/A'}`);
-      console.log('═'.repeat(60));
-    }
-
-    // Display ATS analysis
-    if (response.analysis) {
-      const analysis = response.analysis;
-      console.log('\n' + '═'.repeat(60));
-      console.log('📊 RESUME ANALYSIS REPORT');
-      console.log('═'.repeat(60));
-
-      // ATS Score with visual bar
-      const atsScore = analysis.atsScore || 0;
-      const filledBlocks = Math.round(atsScore / 10);
-      const emptyBlocks = 10 - filledBlocks;
-      const scoreBar = '█'.repeat(filledBlocks) + '░'.repeat(emptyBlocks);
-      console.log(`\n🎯 ATS Score: ${scoreBar} ${atsScore}/100`);
-
-      if (analysis.atsScoreBreakdown) {
-        console.log('\n📈 Breakdown:');
-        console.log(`   🔑 Keywords:   ${analysis.atsScoreBreakdown.keywords}/100`);
-        console.log(`   📝 Formatting: ${analysis.atsScoreBreakdown.formatting}/100`);
-        console.log(`   💼 Experience: ${analysis.atsScoreBreakdown.experience}/100`);
-        console.log(`   🛠️  Skills:     ${analysis.atsScoreBreakdown.skills}/100`);
-      }
-
-      console.log(`\n🎯 BEST TARGET: ${formatTargetArea(analysis.targetAreas?.bestFit)}`);
-      if (analysis.targetAreas?.ranking) {
-        console.log('\n🏆 Target Area Rankings:');
-        analysis.targetAreas.ranking.forEach((target, i) => {
-          const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : '  ';
-          console.log(`   ${medal} ${formatTargetArea(target.type)}: ${target.fitScore}/100`);
-          console.log(`      └─ ${target.reason}`);
-        });
-      }
+// Re-contact cooldowns: every past contact with a company or address has an outcome, and the days in
+// CONFIG.cooldowns for that outcome must pass before the next one. Nothing is deleted from the history.
+const COOLDOWN_OUTCOMES = {
+  sent: 'emailed, no reply',
+  replied: 'replied',
+  negative: 'replied negatively',
+  optedOut: 'opted out',
+  failed: 'nothing delivered',
+  rejected: 'draft rejected in review'
+};
+
+// The family with the longest matching keyword wins ("Product Manager" is Product, not Management). Ties go to
+// the family with more matching keywords, then by name, so the order of roleFamilies never decides.
+function getRoleFamily(role) {
+  const [best] = CONFIG.cooldowns.roleFamilies
+    .map(([name, ...keywords]) => {
+      const hits = keywords.filter(k => termPattern(k).test(role || ''));
+      return { name, hits: hits.length, longest: Math.max(0, ...hits.map(k => k.length)) };
+    })
+    .filter(family => family.hits > 0)
+    .sort((a, b) => b.longest - a.longest || b.hits - a.hits || a.name.localeCompare(b.name));
+  return best ? best.name : (role || '').trim().toLowerCase();
+}
 
-      console.log('\n💪 STRENGTHS:');
-      (analysis.strengths || []).forEach(s => console.log(`   ✅ ${s}`));
+// Outcome of one sent recipient; replies and opt-outs restart the clock from when they arrived
+function getRecipientOutcome(recipient, job) {
+  const sentAt = recipient.sentAt || job.sentAt;
+  if (recipient.optedOutAt || recipient.replyClassification === 'opt_out') return { outcome: 'optedOut', at: recipient.optedOutAt || recipient.repliedAt || sentAt };
+  if (recipient.bouncedAt) return { outcome: 'failed', at: recipient.bouncedAt };
+  if (recipient.repliedAt) return { outcome: recipient.replyClassification === 'negative' ? 'negative' : 'replied', at: recipient.repliedAt };
+  return { outcome: 'sent', at: sentAt };
+}
 
-      console.log('\n📈 IMPROVEMENTS NEEDED:');
-      (analysis.improvements || []).forEach(imp => console.log(`   ⚡ ${imp}`));
+// A past contact without a date (imported from before dates were kept) never expires
+function getCooldownUntil({ outcome, at }) {
+  return at ? new Date(at).getTime() + CONFIG.cooldowns[outcome] * DAY_MS : Infinity;
+}
 
-      console.log('\n🔑 MISSING KEYWORDS:');
-      console.log(`   ${(analysis.keywordsMissing || []).join(', ')}`);
+function toPastContact(job, { outcome, at }) {
+  return { outcome, at, until: getCooldownUntil({ outcome, at }), role: job.role || null, company: job.company };
+}
 
-      console.log('\n💼 RECOMMENDED JOB TITLES:');
-      console.log(`   ${(analysis.recommendedJobTitles || []).join(' • ')}`);
+// Past contacts with a company: one per recorded job, the recipient outcome with the longest cooldown
+function loadCompanyContacts(db, entity) {
+  const rows = db.prepare("SELECT data FROM jobs WHERE company_id = ? AND status IN ('sent', 'failed') ORDER BY id").all(entity.id);
+  const contacts = rows.map(row => {
+    const job = JSON.parse(row.data);
+    if (job.status === 'failed') return toPastContact(job, { outcome: 'failed', at: job.failedAt });
+    const outcomes = (job.sentRecipients || []).map(r => toPastContact(job, getRecipientOutcome(r, job)));
+    return outcomes.sort((a, b) => b.until - a.until)[0] || toPastContact(job, { outcome: 'sent', at: job.sentAt });
+  });
 
-      console.log('\n' + '═'.repeat(60));
-    }
+  // Companies imported from an old sentCompanies list have no job record; their clock starts at the import.
+  // Read here rather than from `entity`, which not every caller loads with created_at.
+  const imported = contacts.length === 0
+    && db.prepare('SELECT c.created_at FROM sent_companies s JOIN companies c ON c.id = s.company_id WHERE s.company_id = ?').get(entity.id);
+  if (imported) {
+    contacts.push({ outcome: 'sent', at: imported.created_at, until: getCooldownUntil({ outcome: 'sent', at: imported.created_at }), role: null, company: entity.name });
+  }
+  return contacts;
+}
 
-    // Process jobs
-    let jobs = response.jobs || [];
-    const profile = response.profile || {};
+// Past contacts with an address, including sends whose company is still in the queue (send_log)
+function loadAddressContacts(db, email) {
+  const address = email.toLowerCase();
+  const contacts = db.prepare('SELECT j.data FROM job_recipients r JOIN jobs j ON j.id = r.job_id WHERE r.email = ? ORDER BY j.id').all(address)
+    .map(row => JSON.parse(row.data))
+    .flatMap(job => (job.sentRecipients || [])
+      .filter(r => r.email?.toLowerCase() === address)
+      .map(r => toPastContact(job, getRecipientOutcome(r, job))));
+
+  // Recipients rejected in review at a company that was emailed anyway are kept on its sent record
+  const rejected = db.prepare(`SELECT j.data, json_extract(r.value, '$.rejectedAt') AS rejectedAt
+    FROM jobs j, json_each(j.data, '$.rejectedRecipients') AS r
+    WHERE j.status = 'sent' AND lower(json_extract(r.value, '$.email')) = ? ORDER BY j.id`).all(address);
+  for (const row of rejected) {
+    const job = JSON.parse(row.data);
+    contacts.push(toPastContact(job, { outcome: 'rejected', at: row.rejectedAt || job.sentAt }));
+  }
 
-    // Score and sort jobs
-    jobs = jobs.map(job => ({
-      ...job,
-      score: scoreJob(job, profile)
-    }));
+  const lastSend = db.prepare("SELECT MAX(sent_at) AS sentAt FROM send_log WHERE email = ? AND kind = 'outreach'").get(address).sentAt;
+  if (lastSend) contacts.push({ outcome: 'sent', at: lastSend, until: getCooldownUntil({ outcome: 'sent', at: lastSend }), role: null });
+  else if (contacts.length === 0 && db.prepare('SELECT 1 FROM sent_emails WHERE email = ?').get(address)) {
+    contacts.push({ outcome: 'sent', at: null, until: Infinity, role: null });
+  }
+  return contacts;
+}
 
-    jobs.sort((a, b) => b.score - a.score);
+// Returns the past contact that still blocks a new email about `role`, or null. With
+// cooldowns.differentRoleFamily, a delivered contact also blocks every later role in the same family.
+function findActiveCooldown(contacts, role) {
+  const now = Date.now();
+  const family = role ? getRoleFamily(role) : null;
+  const active = contacts.filter(c => c.until > now).sort((a, b) => b.until - a.until)[0];
+  if (active) return active;
+  if (!CONFIG.cooldowns.differentRoleFamily || !family) return null;
+
+  const sameFamily = contacts.find(c => c.outcome !== 'failed' && c.role && getRoleFamily(c.role) === family);
+  return sameFamily ? { ...sameFamily, sameRoleFamily: family } : null;
+}
 
-    console.log(`\n📋 JOB RANKINGS:`);
-    console.log('─'.repeat(60));
-    jobs.forEach((job, i) => {
-      const workIcon = job.workType === 'remote' ? '🌍' : job.workType === 'hybrid' ? '🏠' : '🏢';
-      const recipients = job.recipients || [];
-      const contactIcon = recipients.length > 0 ? '👔' : '❌';
-      const rank = i < 3 ? ['🥇', '🥈', '🥉'][i] : `${i + 1}.`;
-      console.log(`   ${rank} ${workIcon} ${contactIcon} [${job.score}pts] ${job.role} @ ${job.company} (${recipients.length} contacts)`);
-      recipients.forEach(r => {
-        const tag = r.emailGuessed ? '🔮 inferred' : '✅ verified';
-        console.log(`      -> ${r.name || 'Unknown'} (${r.title || 'Contact'}) <${r.email}> [${tag}]`);
-      });
-    });
-    console.log('─'.repeat(60));
-    console.log(`   Legend: 🌍 Remote | 🏠 Hybrid | 🏢 Onsite | 👔 Contacts Found | ❌ No Contacts`);
+function describeCooldown(contact) {
+  const date = value => new Date(value).toLocaleDateString('en-IN', { timeZone: CONFIG.schedule.timezone });
+  const when = contact.at ? ` on ${date(contact.at)}` : '';
+  const about = contact.role ? ` about ${contact.role}` : '';
+  if (contact.sameRoleFamily) return `${COOLDOWN_OUTCOMES[contact.outcome]}${when}${about}, only a different role family can be contacted (not ${contact.sameRoleFamily})`;
+  return `${COOLDOWN_OUTCOMES[contact.outcome]}${when}${about}, cooldown ${contact.until === Infinity ? 'has no end date' : `until ${date(contact.until)}`}`;
+}
 
-    const jobsWithContacts = jobs.filter(j => j.recipients?.length > 0).length;
-    const totalContacts = jobs.reduce((sum, j) => sum + (j.recipients?.length || 0), 0);
-    const jobsWithoutContacts = jobs.length - jobsWithContacts;
-    console.log(`\n✨ Found ${jobs.length} jobs, ${totalContacts} total contacts (${jobsWithoutContacts} jobs with no contacts will be skipped)`);
+async function getCompanyCooldown(job) {
+  const db = await getStore();
+  const entity = resolveCompany(db, { name: job.company, domain: job.companyDomain });
+  return entity ? findActiveCooldown(loadCompanyContacts(db, entity), job.role) : null;
+}
 
-    return {
-      profile: response.profile,
-      analysis: response.analysis,
-      jobs: jobs
-    };
+async function getContactCooldown(email, role = null) {
+  const db = await getStore();
+  return findActiveCooldown(loadAddressContacts(db, email), role);
+}
 
-  } catch (error) {
-    console.error('❌ Failed to analyze resume and find jobs:', error.message);
-    return { profile: null, analysis: null, jobs: [] };
-  }
+function toSentRecipient(r) {
+  return {
+    name: r.name,
+      title: r.title,
+      email: r.email,
+      emailGuessed: Boolean(r.emailGuessed),
+      verification: r.verification,
+      emailSubject: r.emailSubject,
+      emailBody: r.emailBody,
+      messageId: r.messageId,
+      smtpResponse: r.smtpResponse,
+      envelope: r.envelope,
+      sentAt: r.sentAt,
+      account: r.account,
+      sentFrom: r.sentFrom,
+    resumeVariant: r.resumeVariant,
+    followUps: []
+  };
 }
 
-async function sendEmail(recipients, subject, body, senderName) {
-  const toList = Array.isArray(recipients) ? recipients.filter(Boolean) : [recipients];
+// Called once the company is done, and also while recipients still wait for a retry (keepQueued), so the ones
+// already emailed get their sent record, cooldown and follow-ups right away. The first call creates the record
+// (its id is kept on the queue entry as historyJobId); later calls add the recipients sent since.
+async function markJobSent(job, sentRecipients, { keepQueued = false } = {}) {
+  const db = await getStore();
+  const records = sentRecipients.map(toSentRecipient);
+
+  db.transaction(() => {
+    const row = job.historyJobId && db.prepare("SELECT data FROM jobs WHERE id = ? AND status = 'sent'").get(job.historyJobId);
+    if (row) {
+      const record = JSON.parse(row.data);
+      const known = new Set(record.sentRecipients.map(r => r.email?.toLowerCase()));
+      const added = records.filter(r => !known.has(r.email?.toLowerCase()));
+      record.sentRecipients.push(...added);
+      updateJobRecord(db, job.historyJobId, record);
+      recordSentAddresses(db, added);
+    } else {
+      const { queueId, historyJobId, recipients, ...entry } = job;
+      const sentAt = new Date().toISOString();
+      const rejectedRecipients = (recipients || []).filter(r => getReviewStatus(r) === 'rejected')
+        .map(r => ({ name: r.name, title: r.title, email: r.email, emailSubject: r.emailSubject, emailBody: r.emailBody, rejectedAt: r.reviewedAt || sentAt }));
+      job.historyJobId = Number(insertSentRecord(db, job, {
+        ...entry, recipients, status: 'sent', sentAt, sentRecipients: records,
+        ...(rejectedRecipients.length > 0 ? { rejectedRecipients } : {})
+      }));
+    }
 
-  if (toList.length === 0) {
-    throw new Error('No valid recipients');
-  }
+    if (!keepQueued) {
+      db.prepare('DELETE FROM queue WHERE id = ?').run(job.queueId);
+    } else {
+      const { queueId, ...entry } = job;
+      db.prepare('UPDATE queue SET data = ? WHERE id = ?').run(JSON.stringify(entry), queueId);
+    }
+  })();
+  console.log(`💾 Saved: ${job.company} (${sentRecipients.length} recipients${keepQueued ? ' so far' : ''})`);
+}
 
-  try {
-    const mailOptions = {
-      from: `"${senderName}" <${SENDER_EMAIL}>`,
-      to: toList.join(', '),
-      subject,
-      text: body,
-      html: `<div style="font-family: Arial, sans-serif; font-size: 15px; line-height: 1.6; color: #222; max-width: 600px;">${
-        body
-          .split('\n\n')
-          .map(para => para.trim())
-          .filter(Boolean)
-          .map(para => `<p style="margin: 0 0 14px 0;">${para.replace(/\n/g, '<br/>')}</p>`)
-          .join('')
-      }</div>`,
-      attachments: [
-        {
-          filename: 'resume.pdf',
-          path: RESUME_PATH,
-        },
-      ],
-    };
+async function markJobFailed(job, errorMessage) {
+  await recordJobOutcome(job, {
+    ...job,
+    status: 'failed',
+    errorMessage,
+    failedAt: new Date().toISOString()
+  });
+  console.log(`💾 Marked failed: ${job.company}`);
+}
 
-    await transporter.sendMail(mailOptions);
-    console.log(`   ✉️  Email sent to: ${toList.join(', ')}`);
+// Rejected drafts are kept for history but do not block the company
+async function markJobRejected(job) {
+  await recordJobOutcome(job, {
+    ...job,
+    status: 'rejected',
+    rejectedAt: new Date().toISOString()
+  });
+  console.log(`💾 Marked rejected: ${job.company}`);
+}
 
-  } catch (error) {
-    console.error(`   ❌ Failed to send email to ${toList.join(', ')}:`, error.message);
-    throw error;
+// Companies still in a cooldown for any role, one name per entity (with its domain when known),
+// for the prompt exclusion list. Companies whose cooldown has passed can be suggested again.
+async function getCompaniesInCooldown() {
+  const db = await getStore();
+  const entities = db.prepare(`SELECT id, name, domain, created_at FROM companies WHERE id IN (
+    SELECT company_id FROM jobs WHERE status IN ('sent', 'failed') UNION SELECT company_id FROM sent_companies
+  ) ORDER BY id`).all();
+
+  return entities
+    .filter(entity => findActiveCooldown(loadCompanyContacts(db, entity), null))
+    .map(entity => entity.domain ? `${entity.name} (${entity.domain})` : entity.name);
+}
+
+async function getJobStats() {
+  const db = await getStore();
+  const counts = Object.fromEntries(
+    db.prepare('SELECT status, COUNT(*) AS count FROM jobs GROUP BY status').all().map(row => [row.status, row.count])
+  );
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  const { companies } = db.prepare("SELECT COUNT(DISTINCT company_id) AS companies FROM jobs WHERE status = 'sent'").get();
+  return { total, sent: counts.sent || 0, failed: counts.failed || 0, companies };
+}
+
+// One row per extraction; a cached profile is not analyzed again
+async function recordResumeAnalysis(hash, analysis) {
+  const db = await getStore();
+  db.prepare('INSERT INTO resume_analyses (resume_hash, analyzed_at, ats_score, data) VALUES (?, ?, ?, ?)')
+    .run(hash, new Date().toISOString(), analysis.atsScore ?? null, JSON.stringify({ llm: { provider: llm.name, model: llm.model }, analysis }));
+}
+
+// Resume versions in the order they were first analyzed, each with its latest analysis
+async function getResumeVersions() {
+  const db = await getStore();
+  const versions = new Map();
+  for (const row of db.prepare('SELECT resume_hash, analyzed_at, data FROM resume_analyses ORDER BY analyzed_at, id').all()) {
+    const { llm: model, analysis } = JSON.parse(row.data);
+    const version = versions.get(row.resume_hash) || { hash: row.resume_hash, firstAnalyzedAt: row.analyzed_at, analyses: 0 };
+    versions.set(row.resume_hash, { ...version, analyses: version.analyses + 1, analyzedAt: row.analyzed_at, llm: model, analysis });
   }
+  return [...versions.values()].map((version, i) => ({ ...version, version: i + 1 }));
 }
 
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+// Searchable text of every job found so far, sent, failed or still queued
+async function getTargetedJobTexts() {
+  const db = await getStore();
+  return [...db.prepare('SELECT data FROM jobs').all(), ...db.prepare('SELECT data FROM queue').all()]
+    .map(row => JSON.parse(row.data))
+    .map(job => `${job.role || ''} ${job.snippet || ''} ${job.requirements || ''}`);
 }
 
-function getLastRunTime() {
-  return new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+async function getSentJobs() {
+  const db = await getStore();
+  return db.prepare("SELECT id, data FROM jobs WHERE status = 'sent' ORDER BY id").all()
+    .map(row => ({ jobId: row.id, job: JSON.parse(row.data) }));
 }
 
-async function processJobQueue(senderName) {
-  const queueSize = await getQueueSize();
+// Follow-up tracking (stored per recipient on sent job records)
+// Counted from the recipient's own send: one sent after a retry is nudged later than the rest of the company
+function getFollowUpDueAt(job, recipient, step) {
+  return new Date(recipient.sentAt || job.sentAt).getTime() + FOLLOW_UP_STEPS[step] * DAY_MS;
+}
 
-  if (queueSize === 0) {
-    console.log('📭 Queue is empty. No pending jobs to process.');
-    return 0;
+async function getDueFollowUps() {
+  if (FOLLOW_UP_STEPS.length === 0) return [];
+
+  const now = Date.now();
+  const due = [];
+
+  for (const { jobId, job } of await getSentJobs()) {
+    if (!job.sentAt) continue;
+
+    for (const recipient of job.sentRecipients || []) {
+      if (!recipient.email || recipient.repliedAt || recipient.optedOutAt || recipient.bouncedAt) continue;
+      if (recipient.followUpsFailedAt || recipient.followUpDraft?.reviewStatus === 'rejected') continue;
+      if (recipient.followUpRetryAt && new Date(recipient.followUpRetryAt).getTime() > now) continue;
+      // Records sent before follow-ups existed have no followUps array and no stored email
+      if (!Array.isArray(recipient.followUps)) continue;
+      if (await findSuppression({ email: recipient.email, company: job.company, domain: job.companyDomain })) continue;
+
+      const followUps = recipient.followUps;
+      const step = followUps.length;
+      if (step >= FOLLOW_UP_STEPS.length) continue;
+
+      if (now >= getFollowUpDueAt(job, recipient, step)) {
+        due.push({ jobId, job, recipient, step });
+      }
+    }
   }
 
-  console.log(`\n📬 Found ${queueSize} companies in queue. Processing...`);
+  return due;
+}
 
-  const queue = await loadQueue();
-  const jobsToProcess = queue;
+async function recordFollowUpSent(jobId, email, followUp) {
+  const db = await getStore();
+  db.transaction(() => {
+    const match = loadSentRecipient(db, jobId, email.toLowerCase());
+    if (!match) return;
+
+    match.recipient.followUps = [...(match.recipient.followUps || []), followUp];
+    // Retry state and the reviewed draft belong to the step that just went out
+    delete match.recipient.followUpDraft;
+    delete match.recipient.followUpAttempts;
+    delete match.recipient.followUpError;
+    delete match.recipient.followUpRetryAt;
+    updateJobRecord(db, jobId, match.job);
+    logSend(db, email, 'follow_up', followUp.sentAt, followUp.account);
+  })();
+}
 
-  const totalEmails = jobsToProcess.reduce((sum, j) => sum + (j.recipients?.length || 0), 0);
-  const totalDelayMs = Math.max(0, totalEmails - 1) * EMAIL_INTERVAL_MS;
-  const estimatedMinutes = Math.round(totalDelayMs / 60000);
+// With REVIEW_MODE, each follow-up is drafted first and only sent once approved (see the review command)
+async function saveFollowUpDraft(jobId, email, draft) {
+  const db = await getStore();
+  db.transaction(() => {
+    const match = loadSentRecipient(db, jobId, email.toLowerCase());
+    if (!match) return;
 
-  console.log(`🔥 Processing ALL ${jobsToProcess.length} companies (${totalEmails} emails total)...`);
-  console.log(`⏱️  Estimated time: ~${estimatedMinutes} minutes`);
-  console.log('─'.repeat(60));
+    match.recipient.followUpDraft = draft;
+    updateJobRecord(db, jobId, match.job);
+  })();
+}
 
-  let sentCount = 0;
-  let failedCount = 0;
+async function getFollowUpDrafts() {
+  return (await getSentJobs()).flatMap(({ jobId, job }) => (job.sentRecipients || [])
+    .filter(recipient => recipient.followUpDraft)
+    .map(recipient => ({ jobId, job, recipient, draft: recipient.followUpDraft })));
+}
 
-  for (let i = 0; i < jobsToProcess.length; i++) {
-    const job = jobsToProcess[i];
-    const workIcon = job.workType === 'remote' ? '🌍' : job.workType === 'hybrid' ? '🏠' : '🏢';
-    const recipients = job.recipients || [];
+// A failed follow-up either waits until retryAt or, without one, stops the sequence for this recipient
+async function recordFollowUpFailure(jobId, email, { attempts, error, retryAt }) {
+  const db = await getStore();
+  db.transaction(() => {
+    const match = loadSentRecipient(db, jobId, email.toLowerCase());
+    if (!match) return;
+
+    Object.assign(match.recipient, { followUpAttempts: attempts, followUpError: error, followUpRetryAt: retryAt || null });
+    if (!retryAt) match.recipient.followUpsFailedAt = new Date().toISOString();
+    updateJobRecord(db, jobId, match.job);
+  })();
+}
 
-    if (recipients.length === 0) {
-      console.log(`\n⚠️ [${i + 1}/${jobsToProcess.length}] Skipping ${job.company} - No contacts in queue entry`);
-      await removeJobFromQueue(0);
-      continue;
+// Sets a field (repliedAt / optedOutAt) on every sent record for this address
+async function markRecipientEvent(email, field) {
+  const db = await getStore();
+  const now = new Date().toISOString();
+
+  return db.transaction(() => {
+    let matched = 0;
+    const rows = db.prepare('SELECT job_id FROM job_recipients WHERE email = ?').all(email.toLowerCase());
+
+    for (const { job_id: jobId } of rows) {
+      const match = loadSentRecipient(db, jobId, email.toLowerCase());
+      if (!match || match.recipient[field]) continue;
+      match.recipient[field] = now;
+      updateJobRecord(db, jobId, match.job);
+      matched++;
     }
+    return matched;
+  })();
+}
 
-    console.log(`\n🏢 [${i + 1}/${jobsToProcess.length}] ${workIcon} ${job.role} @ ${job.company} — ${recipients.length} contact(s)`);
-    console.log(`   📊 Score: ${job.score}`);
+// Guessed email patterns (STEP 2 of the prompt), e.g. "first.last" for jane.doe@acme.com
+function detectEmailPattern(name, email) {
+  const local = (email || '').split('@')[0].toLowerCase();
+  const parts = (name || '').toLowerCase().normalize('NFD').replace(/[^a-z\s-]/g, '').split(/[\s-]+/).filter(Boolean);
+  if (parts.length === 0) return 'unknown';
+
+  const first = parts[0];
+  const last = parts.length > 1 ? parts[parts.length - 1] : '';
+  const candidates = {
+    'first': first,
+    'first.last': last && `${first}.${last}`,
+    'firstlast': last && `${first}${last}`,
+    'first_last': last && `${first}_${last}`,
+    'flast': last && `${first[0]}${last}`,
+    'f.last': last && `${first[0]}.${last}`,
+    'firstl': last && `${first}${last[0]}`,
+    'last.first': last && `${last}.${first}`,
+    'last': last,
+  };
 
-    const sentRecipients = [];
+  return Object.keys(candidates).find(key => candidates[key] && candidates[key] === local) || 'unknown';
+}
 
-    for (let ri = 0; ri < recipients.length; ri++) {
-      const recipient = recipients[ri];
+// A pattern is unreliable once at least half of its sends have bounced
+function isPatternUnreliable(stats) {
+  return stats.bounced > 0 && stats.bounced * 2 >= stats.sent;
+}
 
-      if (!recipient.email) {
-        console.log(`   ⚠️  [${ri + 1}/${recipients.length}] Skipping ${recipient.name || 'unknown'} - No email`);
-        continue;
-      }
+function recordPatternOutcome(db, recipient, outcome) {
+  const domain = recipient.email.split('@')[1]?.toLowerCase();
+  if (!domain) return;
 
-      const emailIcon = recipient.emailGuessed ? '🔮' : '✅';
-      console.log(`\n   📨 [${ri + 1}/${recipients.length}] ${emailIcon} ${recipient.name || 'Unknown'} (${recipient.title || 'Contact'}) <${recipient.email}>${recipient.emailGuessed ? ' [inferred]' : ' [verified]'}`);
+  const pattern = detectEmailPattern(recipient.name, recipient.email);
+  const column = outcome === 'bounced' ? 'bounced' : 'sent';
+  db.prepare(`INSERT INTO email_patterns (domain, pattern, ${column}) VALUES (?, ?, 1)
+    ON CONFLICT (domain, pattern) DO UPDATE SET ${column} = ${column} + 1`).run(domain, pattern);
+}
 
-      try {
-        const subject = recipient.emailSubject || `Application for ${job.role} at ${job.company}`;
-        const body = (recipient.emailBody || '').replace(/\\n/g, '\n');
+async function getUnreliablePatterns() {
+  const db = await getStore();
+  return db.prepare("SELECT domain, pattern, sent, bounced FROM email_patterns WHERE pattern != 'unknown'").all()
+    .filter(isPatternUnreliable)
+    .map(({ domain, pattern }) => ({ domain, pattern }));
+}
 
-        if (!body) throw new Error('No email body generated');
+// Bounce tracking: mark the address invalid and count it against its guessed pattern
+async function recordBounce(bounce) {
+  const db = await getStore();
 
-        await sendEmail([recipient.email], subject, body, senderName);
-        sentRecipients.push(recipient);
-        sentCount++;
-        console.log(`      ✅ Sent!`);
+  return db.transaction(() => {
+    let match = null;
+    if (bounce.originalMessageId) {
+      const row = db.prepare('SELECT job_id, email FROM message_ids WHERE message_id = ?').get(normalizeMessageId(bounce.originalMessageId));
+      if (row) match = loadSentRecipient(db, row.job_id, row.email);
+    }
+    if (!match && bounce.recipients.length > 0) {
+      const row = db.prepare(
+        `SELECT job_id, email FROM job_recipients WHERE email IN (${bounce.recipients.map(() => '?').join(', ')}) ORDER BY job_id DESC LIMIT 1`
+      ).get(...bounce.recipients);
+      if (row) match = loadSentRecipient(db, row.job_id, row.email);
+    }
+    if (!match || match.recipient.bouncedAt) return null;
 
-      } catch (error) {
-        console.error(`      ❌ Failed: ${error.message}`);
-        failedCount++;
-      }
+    const { jobId, job, recipient } = match;
+    recipient.bouncedAt = bounce.receivedAt;
+    recipient.bounceStatus = bounce.status;
+    recipient.bounceDiagnostic = bounce.diagnostic;
+    updateJobRecord(db, jobId, job);
 
-      // Delay between recipients within the same company
-      if (ri < recipients.length - 1) {
-        console.log(`      ⏳ Waiting before next contact at ${job.company}...`);
-        await delay(EMAIL_INTERVAL_MS);
-      }
-    }
+    db.prepare('INSERT OR IGNORE INTO invalid_emails (email) VALUES (?)').run(recipient.email.toLowerCase());
+    if (recipient.emailGuessed) recordPatternOutcome(db, recipient, 'bounced');
 
-    // Mark company done regardless of partial failures
-    if (sentRecipients.length > 0) {
-      await markJobSent(job, sentRecipients);
-    } else {
-      await markJobFailed(job, 'All recipient sends failed');
+    return { job, recipient };
+  })();
+}
+
+// Reply tracking: match an inbound message to a sent recipient
+function normalizeMessageId(id) {
+  return (id || '').trim().replace(/^<|>$/g, '').toLowerCase();
+}
+
+function findOutreachForReply(db, reply) {
+  const refs = [...new Set(reply.references.map(normalizeMessageId).filter(Boolean))];
+
+  // 1. Threaded reply: In-Reply-To / References point at one of our Message-IDs
+  for (const ref of refs) {
+    const row = db.prepare('SELECT job_id, email FROM message_ids WHERE message_id = ?').get(ref);
+    const match = row && loadSentRecipient(db, row.job_id, row.email);
+    if (match) return { ...match, matchedBy: 'message-id' };
+  }
+
+  // 2. Fallback: sender address of the most recent outreach to that address
+  const row = db.prepare('SELECT job_id, email FROM job_recipients WHERE email = ? ORDER BY job_id DESC LIMIT 1').get(reply.from);
+  const match = row && loadSentRecipient(db, row.job_id, row.email);
+  return match ? { ...match, matchedBy: 'sender' } : null;
+}
+
+// Auto-replies and out-of-office notices are logged but don't count as a reply
+async function recordReply(reply) {
+  const db = await getStore();
+
+  return db.transaction(() => {
+    const match = findOutreachForReply(db, reply);
+    if (!match) return null;
+
+    const { jobId, job, recipient } = match;
+    const replies = recipient.replies || [];
+    if (replies.some(r => r.messageId && r.messageId === reply.messageId)) return null;
+
+    recipient.replies = [...replies, {
+      messageId: reply.messageId,
+      from: reply.from,
+      subject: reply.subject,
+      snippet: reply.snippet,
+      classification: reply.classification,
+      matchedBy: match.matchedBy,
+      receivedAt: reply.receivedAt
+    }];
+
+    if (['positive', 'negative', 'opt_out'].includes(reply.classification)) {
+      recipient.repliedAt = recipient.repliedAt || reply.receivedAt;
+      recipient.replySnippet = recipient.replySnippet || reply.snippet;
+      recipient.replyClassification = reply.classification;
+      job.repliedAt = job.repliedAt || reply.receivedAt;
+    }
+    if (reply.classification === 'opt_out') {
+      recipient.optedOutAt = recipient.optedOutAt || reply.receivedAt;
     }
-    await removeJobFromQueue(0);
 
-    // Delay between companies
-    if (i < jobsToProcess.length - 1) {
-      console.log(`\n   ⏳ Moving to next company...`);
-      await delay(EMAIL_INTERVAL_MS);
+    updateJobRecord(db, jobId, job);
+    return match;
+  })();
+}
+
+// One UID checkpoint per polled account; the default account keeps the key it had before accounts existed
+function getInboxStateKey(inboxId) {
+  return inboxId === 'default' ? 'inbox' : `inbox:${inboxId}`;
+}
+
+async function getInboxState(inboxId = 'default') {
+  const db = await getStore();
+  return getMeta(db, getInboxStateKey(inboxId)) || { uidValidity: null, lastUid: 0 };
+}
+
+async function saveInboxState(state, inboxId = 'default') {
+  const db = await getStore();
+  setMeta(db, getInboxStateKey(inboxId), state);
+}
+
+async function getEarliestSentAt() {
+  const db = await getStore();
+  const { sentAt } = db.prepare("SELECT MIN(recorded_at) AS sentAt FROM jobs WHERE status = 'sent'").get();
+  return sentAt ? new Date(sentAt) : null;
+}
+
+// Resume lifecycle: the PDF is identified by its SHA-256. An upload is reused (across restarts too, via the
+// `resume` meta entry) until it is about to expire or resume.pdf changes, then it is replaced.
+const RESUME_UPLOAD_TTL_MS = 48 * 60 * 60 * 1000; // Gemini File API default, used when the upload has no expiry
+const RESUME_UPLOAD_MARGIN_MS = 60 * 60 * 1000; // re-upload with less than an hour left, a cycle can take that long
+
+async function hashResume() {
+  return crypto.createHash('sha256').update(await fs.readFile(RESUME_PATH)).digest('hex');
+}
+
+function isResumeUploadExpiring(file) {
+  return Boolean(file?.uri) && new Date(file.expiresAt).getTime() - RESUME_UPLOAD_MARGIN_MS <= Date.now();
+}
+
+// Upload the resume to providers that read PDFs; extract its text for the rest
+async function prepareResume(hash) {
+  try {
+    if (llm.supportsFiles) {
+      console.log(`📄 Uploading resume to ${llm.name}...`);
+      const file = await llm.uploadFile(RESUME_PATH, 'application/pdf');
+      const uploadedAt = new Date();
+      const expiresAt = file.expiresAt || new Date(uploadedAt.getTime() + RESUME_UPLOAD_TTL_MS).toISOString();
+      console.log(`✅ Resume uploaded successfully (expires ${new Date(expiresAt).toLocaleString('en-IN', { timeZone: CONFIG.schedule.timezone })})`);
+      return { ...file, hash, uploadedAt: uploadedAt.toISOString(), expiresAt };
+    }
+
+    console.log(`📄 Extracting resume text (${llm.name} can't read PDFs)...`);
+    const pdf = await getDocumentProxy(new Uint8Array(await fs.readFile(RESUME_PATH)));
+    const { text } = await extractText(pdf, { mergePages: true });
+    if (!text.trim()) throw new Error('No text found in resume.pdf (is it a scanned image?)');
+    console.log(`✅ Extracted ${text.trim().length} characters from resume`);
+    return { text: text.trim(), hash };
+  } catch (error) {
+    console.error('❌ Failed to prepare resume:', error.message);
+    throw error;
+  }
+}
+
+// Returns the prepared resume for the current resume.pdf, uploading or extracting it only when needed
+async function getResumeFile() {
+  const hash = await hashResume();
+  const db = await getStore();
+  const stored = getMeta(db, 'resume');
+  const previous = resumeFile || (stored?.provider === llm.name ? stored.file : null);
+
+  if (previous?.hash === hash && !isResumeUploadExpiring(previous)) {
+    resumeFile = previous;
+    return resumeFile;
+  }
+
+  if (previous && previous.hash !== hash) {
+    console.log('📄 resume.pdf has changed since it was last read');
+    await invalidateResumeCaches(hash);
+  } else if (previous) {
+    console.log(`📄 Resume upload ${new Date(previous.expiresAt) <= new Date() ? 'has expired' : 'is about to expire'} — uploading it again`);
+  }
+
+  // The replaced upload would expire on its own, but there's no reason to keep it around
+  if (previous?.name && llm.deleteFile) {
+    await llm.deleteFile(previous.name).catch(error => console.warn(`⚠️ Could not delete old resume upload ${previous.name}: ${error.message}`));
+  }
+
+  resumeFile = await prepareResume(hash);
+  setMeta(db, 'resume', { provider: llm.name, file: resumeFile });
+  return resumeFile;
+}
+
+// A new resume makes the profile and ATS analysis in pipeline.json stale; its profile stage is reset
+// so `npm run pipeline -- resume|queue` extract them again instead of reusing the old ones
+async function invalidateResumeCaches(hash) {
+  const run = await loadPipelineRun();
+  if (!run || run.resumeFile?.hash === hash || run.stages.profile.status === 'pending') return;
+
+  run.stages.profile = { status: 'pending', reason: 'resume.pdf changed' };
+  await savePipelineRun(run);
+  console.log(`🗑️  Cleared the profile and ATS analysis of pipeline run ${run.runId} (resume changed)`);
+}
+
+// Service mode: pick up a new resume.pdf as soon as it is saved instead of at the next cycle's hash check.
+// The directory is watched because editors often replace the file rather than write to it.
+function watchResume() {
+  let timer = null;
+  watch(path.dirname(RESUME_PATH), (event, filename) => {
+    if (filename !== path.basename(RESUME_PATH)) return;
+    clearTimeout(timer);
+    timer = setTimeout(async () => {
+      try {
+        const hash = await hashResume();
+        if (resumeFile?.hash === hash) return;
+        console.log('\n📄 resume.pdf changed — it is uploaded again and re-analyzed on the next cycle');
+        await invalidateResumeCaches(hash);
+      } catch (error) {
+        console.warn(`⚠️ Could not read the new resume.pdf: ${error.message}`);
+      }
+    }, 1000);
+  });
+}
+
+// What a pipeline run records about the resume it was given
+function describeResumeFile(resumeFile) {
+  if (resumeFile?.uri) return { hash: resumeFile.hash, uri: resumeFile.uri, mimeType: resumeFile.mimeType, expiresAt: resumeFile.expiresAt };
+  if (resumeFile?.text) return { hash: resumeFile.hash, extractedText: true, characters: resumeFile.text.length };
+  return null;
+}
+
+// Last prepared resume; getResumeFile() checks it against resume.pdf before every use
+let resumeFile = null;
+
+function formatTargetArea(type) {
+  const labels = {
+    'indian_mid_startup': '🇮🇳 Indian Mid-Level Startup (Series A-C)',
+    'foreign_startup': '🌍 Foreign/International Startup',
+    'mnc': '🏢 MNC/Large Enterprise',
+    'early_startup': '🚀 Early-Stage Startup (Seed/Pre-Seed)'
+  };
+  return labels[type] || type;
+}
+
+// Resume variants (CONFIG.resumes): resume.pdf stays the master copy the profile and ATS analysis come from
+const DEFAULT_RESUME_VARIANT = { name: 'default', file: path.basename(RESUME_PATH), roles: [], targetAreas: [], companyTypes: [] };
+
+function getResumeVariantPath(variant) {
+  return variant === DEFAULT_RESUME_VARIANT ? RESUME_PATH : path.resolve(HOME_DIR, CONFIG.resumes.dir, variant.file);
+}
+
+// Discovered jobs carry a target area as their companyType; board listings get a best guess
+function getJobTargetArea(job) {
+  const type = String(job.companyType || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (TARGET_AREAS.includes(type)) return type;
+
+  const text = `${job.companyType || ''} ${job.fundingStage || ''}`.toLowerCase();
+  if (/\b(mnc|multinational|enterprise|public|fortune)\b/.test(text)) return 'mnc';
+  if (/\b(seed|pre-seed|early)\b/.test(text)) return 'early_startup';
+  if (/\b(foreign|international|global)\b/.test(text)) return 'foreign_startup';
+  if (/\b(startup|series [a-e])\b/.test(text)) return 'indian_mid_startup';
+  return null;
+}
+
+// A role word in the job title counts most, then the target area, then the company type; ties go to the first listed
+function selectResumeVariant(job) {
+  const area = getJobTargetArea(job);
+  const companyText = `${job.companyType || ''} ${job.fundingStage || ''}`.replace(/_/g, ' ');
+  let best = DEFAULT_RESUME_VARIANT;
+  let bestScore = 0;
+
+  for (const variant of CONFIG.resumes.variants) {
+    const score = (variant.roles.some(term => termPattern(term).test(job.role || '')) ? 3 : 0)
+      + (area && variant.targetAreas.includes(area) ? 2 : 0)
+      + (variant.companyTypes.some(term => termPattern(term, { strictShortTerms: false }).test(companyText)) ? 1 : 0);
+    if (score > bestScore) {
+      best = variant;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// The variant a queued job was drafted for; resume.pdf if it has been removed from the config or disk since
+async function resolveResumeVariant(name) {
+  if (!name || name === DEFAULT_RESUME_VARIANT.name) return DEFAULT_RESUME_VARIANT;
+
+  const variant = CONFIG.resumes.variants.find(v => v.name.toLowerCase() === name.toLowerCase());
+  try {
+    if (!variant) throw new Error('not in the config');
+    await fs.access(getResumeVariantPath(variant));
+    return variant;
+  } catch (error) {
+    console.warn(`   ⚠️  Resume variant "${name}" is unavailable (${variant ? 'file missing' : error.message}) — attaching ${DEFAULT_RESUME_VARIANT.file}`);
+    return DEFAULT_RESUME_VARIANT;
+  }
+}
+
+// Terms match on word boundaries, so "Go" doesn't match "good" and "Java" doesn't match "JavaScript".
+// Terms of two letters or fewer ("Go", "C", "R") must also match case, so "go" in running text doesn't count.
+function termPattern(term, { strictShortTerms = true } = {}) {
+  const trimmed = term.trim();
+  const escaped = trimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const flags = strictShortTerms && trimmed.length <= 2 ? '' : 'i';
+  return new RegExp(`(?<![\\w.+#-])${escaped}(?![\\w+#])`, flags);
+}
+
+// A skill plus its synonyms from the scoring config, e.g. Node.js → Node, NodeJS
+function expandSkill(skill) {
+  const group = CONFIG.scoring.synonyms.find(terms => terms.some(term => term.toLowerCase() === skill.toLowerCase()));
+  return group ? [...new Set([skill, ...group])] : [skill];
+}
+
+// Rules-based score from CONFIG.scoring; the breakdown explains every point
+function scoreJob(job, profile) {
+  const { scoring } = CONFIG;
+  const breakdown = [];
+  const add = (factor, points, detail = null) => {
+    if (points !== 0) breakdown.push({ factor, points, ...(detail ? { detail } : {}) });
+  };
+
+  const workType = (job.workType || '').toLowerCase();
+  add(workType || 'unknown work type', scoring.workType[workType] ?? 0);
+
+  if (job.isFamous) add('famous', scoring.famous);
+
+  const jobText = `${job.role || ''} ${job.snippet || ''} ${job.requirements || ''}`;
+  const skills = [...new Set(Object.values(profile.skills || {}).flat().filter(skill => typeof skill === 'string' && skill.trim()))];
+  const matchedSkills = skills.filter(skill => expandSkill(skill).some(term => termPattern(term).test(jobText)));
+  add('skills', matchedSkills.length * scoring.skillMatch, matchedSkills.join(', '));
+
+  // Underscores count as spaces so "foreign_startup" matches "startup"
+  for (const rule of scoring.rules) {
+    const value = String(job[rule.field] ?? '').replace(/_/g, ' ');
+    const hit = rule.contains.find(term => termPattern(term, { strictShortTerms: false }).test(value));
+    if (hit) add(rule.label || `${rule.field}: ${hit}`, rule.points);
+  }
+
+  return { score: breakdown.reduce((sum, f) => sum + f.points, 0), breakdown };
+}
+
+function formatScoreBreakdown(breakdown = []) {
+  return breakdown
+    .map(f => `${f.factor} ${f.points > 0 ? '+' : ''}${f.points}${f.detail ? ` (${f.detail})` : ''}`)
+    .join(' · ');
+}
+
+function isBelowMinScore(job) {
+  return job.score !== undefined && job.score < CONFIG.scoring.minScore;
+}
+
+function isWorkTypeAllowed(job) {
+  return getAllowedWorkTypes(job.location).includes((job.workType || '').toLowerCase());
+}
+
+// Response schemas for LLM output. Fields are repaired where the intent is clear
+// (types, casing, enum aliases); anything else is reported as a validation error.
+const WORK_TYPE_ALIASES = {
+  remote: ['remote', 'wfh', 'work from home', 'anywhere', 'distributed'],
+  hybrid: ['hybrid', 'flexible', 'partially remote', 'partial remote'],
+  onsite: ['onsite', 'on-site', 'on site', 'in office', 'in-office', 'office']
+};
+const TARGET_AREAS = ['indian_mid_startup', 'foreign_startup', 'mnc', 'early_startup'];
+
+const stringArray = { type: 'array', items: { type: 'string' }, default: [] };
+const TIME_OF_DAY = { type: 'string', pattern: /^([01]?\d|2[0-3]):[0-5]\d$/, patternHint: 'is not a 24-hour HH:MM time' };
+const workTypeList = { type: 'array', items: { type: 'enum', values: Object.keys(WORK_TYPE_ALIASES), aliases: WORK_TYPE_ALIASES } };
+
+const recipientSchema = {
+  type: 'object',
+  fields: {
+    email: { type: 'email', required: true },
+    name: { type: 'string', required: true },
+    title: { type: 'string', default: 'Contact' },
+    emailGuessed: { type: 'boolean', default: false }
+  }
+};
+
+const SCHEMAS = {
+  profile: {
+    type: 'object',
+    required: true,
+    fields: {
+      name: { type: 'string', required: true },
+      email: { type: 'email' },
+      phone: { type: 'string' },
+      location: { type: 'string' },
+      linkedIn: { type: 'string' },
+      github: { type: 'string' },
+      portfolio: { type: 'string' },
+      summary: { type: 'string' },
+      currentRole: { type: 'string' },
+      yearsOfExperience: { type: 'number', min: 0, max: 60 },
+      skills: {
+        type: 'object',
+        default: {},
+        fields: {
+          programmingLanguages: stringArray,
+          frameworks: stringArray,
+          databases: stringArray,
+          tools: stringArray,
+          other: stringArray
+        }
+      },
+      experience: {
+        type: 'array',
+        default: [],
+        dropInvalid: true,
+        items: {
+          type: 'object',
+          fields: {
+            company: { type: 'string', required: true },
+            role: { type: 'string' },
+            duration: { type: 'string' },
+            highlights: stringArray
+          }
+        }
+      },
+      education: {
+        type: 'array',
+        default: [],
+        dropInvalid: true,
+        items: {
+          type: 'object',
+          fields: {
+            institution: { type: 'string', required: true },
+            degree: { type: 'string' },
+            year: { type: 'string' }
+          }
+        }
+      },
+      projects: {
+        type: 'array',
+        default: [],
+        dropInvalid: true,
+        items: {
+          type: 'object',
+          fields: {
+            name: { type: 'string', required: true },
+            description: { type: 'string' },
+            technologies: stringArray,
+            url: { type: 'string' }
+          }
+        }
+      },
+      achievements: stringArray,
+      certifications: stringArray
+    }
+  },
+
+  analysis: {
+    type: 'object',
+    fields: {
+      atsScore: { type: 'number', min: 0, max: 100, required: true },
+      atsScoreBreakdown: {
+        type: 'object',
+        fields: {
+          keywords: { type: 'number', min: 0, max: 100 },
+          formatting: { type: 'number', min: 0, max: 100 },
+          experience: { type: 'number', min: 0, max: 100 },
+          skills: { type: 'number', min: 0, max: 100 }
+        }
+      },
+      targetAreas: {
+        type: 'object',
+        fields: {
+          bestFit: { type: 'enum', values: TARGET_AREAS },
+          ranking: {
+            type: 'array',
+            default: [],
+            dropInvalid: true,
+            items: {
+              type: 'object',
+              fields: {
+                type: { type: 'enum', values: TARGET_AREAS, required: true },
+                fitScore: { type: 'number', min: 0, max: 100 },
+                reason: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      strengths: stringArray,
+      improvements: stringArray,
+      keywordsMissing: stringArray,
+      recommendedJobTitles: stringArray
+    }
+  },
+
+  job: {
+    type: 'object',
+    fields: {
+      company: { type: 'string', required: true },
+      companyDomain: { type: 'domain' },
+      role: { type: 'string', required: true },
+      snippet: { type: 'string', default: '' },
+      requirements: { type: 'string', default: '' },
+      workType: { type: 'enum', values: Object.keys(WORK_TYPE_ALIASES), aliases: WORK_TYPE_ALIASES, required: true },
+      companyType: { type: 'string' },
+      isFamous: { type: 'boolean', default: false },
+      fundingStage: { type: 'string' },
+      location: { type: 'string', default: '' }
+    }
+  },
+
+  recipient: recipientSchema,
+
+  // A posting from a job board or jobSources.json
+  listing: {
+    type: 'object',
+    fields: {
+      id: { type: 'string', required: true },
+      source: { type: 'string', default: 'manual' },
+      company: { type: 'string', required: true },
+      companyDomain: { type: 'domain' },
+      role: { type: 'string', required: true },
+      location: { type: 'string', default: '' },
+      workType: { type: 'enum', values: Object.keys(WORK_TYPE_ALIASES), aliases: WORK_TYPE_ALIASES },
+      snippet: { type: 'string', default: '' },
+      requirements: { type: 'string', default: '' },
+      description: { type: 'string', default: '' },
+      url: { type: 'string' },
+      postedAt: { type: 'string' },
+      recipients: { type: 'array', default: [], dropInvalid: true, items: recipientSchema }
+    }
+  },
+
+  draft: {
+    type: 'object',
+    required: true,
+    fields: {
+      emailSubject: { type: 'string', required: true },
+      emailBody: { type: 'string', required: true }
+    }
+  },
+
+  // jobhunter.config.(json|yaml) — the defaults reproduce the original Kolkata setup
+  config: {
+    type: 'object',
+    default: {},
+    fields: {
+      location: {
+        type: 'object',
+        default: {},
+        fields: {
+          preferredCities: { ...stringArray, default: ['Kolkata', 'Calcutta'] },
+          workTypes: {
+            type: 'array',
+            default: [],
+            items: {
+              type: 'object',
+              fields: {
+                cities: { ...stringArray, required: true },
+                allow: { ...workTypeList, required: true }
+              }
+            }
+          },
+          elsewhere: { ...workTypeList, default: ['remote', 'hybrid'] }
+        }
+      },
+      companies: {
+        type: 'object',
+        default: {},
+        fields: {
+          priority: {
+            ...stringArray,
+            default: [
+              'FAMOUS/TOP-TIER companies FIRST (Google, Meta, Amazon, Microsoft, Apple, Netflix, Stripe, Vercel, Supabase, Cloudflare, Figma, Notion, Linear, etc.)',
+              'WELL-FUNDED UNICORNS (Razorpay, Zerodha, CRED, Meesho, PhonePe, Swiggy, Zomato, Ola, Flipkart, etc.)',
+              'SERIES B/C STARTUPS with strong engineering culture',
+              'SERIES A STARTUPS only if above not available',
+              'Early-stage startups as last resort'
+            ]
+          },
+          allow: stringArray,
+          deny: stringArray,
+          // Each group is one company: the first entry is its name, the rest are other names or domains
+          aliases: {
+            type: 'array',
+            default: [],
+            items: { ...stringArray, required: true }
+          },
+          // Minimum name similarity (0-1) for two spellings to count as one company; 1 = exact matches only
+          fuzzyMatch: { type: 'number', min: 0, max: 1, default: 0.9 }
+        }
+      },
+      interviewStyle: {
+        type: 'object',
+        default: {},
+        fields: {
+          candidate: { type: 'string', default: 'The candidate is a builder and project-driven engineer, NOT a competitive programmer.' },
+          prefer: {
+            ...stringArray,
+            default: [
+              'Evaluate candidates via portfolio reviews, take-home projects, GitHub profile, or system design discussions',
+              "Are startups or product companies that care about what you've BUILT, not how fast you solve puzzles",
+              'Have engineering blogs, open-source culture, or a reputation for practical/pragmatic hiring',
+              'Mention "real-world experience", "passion for building", "side projects", "portfolio" in their job descriptions',
+              'Are known for culture-fit and skills-based interviews (e.g., Vercel, Linear, Supabase, Notion, Figma, most YC startups, early-stage product companies)'
+            ]
+          },
+          avoid: {
+            ...stringArray,
+            default: [
+              'Are known for heavy LeetCode / algorithmic / DSA-heavy interview processes (e.g., Google, Meta, Amazon, Microsoft, Goldman Sachs, Tower Research, Citadel, Jane Street, competitive-programming culture shops)',
+              'Explicitly mention "data structures and algorithms", "competitive programming", "LeetCode", "HackerRank rounds" in job descriptions or known interview culture',
+              'Are in high-frequency trading, quant finance, or FAANG-tier where DSA is a strict gate',
+              'Have 5+ interview rounds with algorithm whiteboarding as primary filter'
+            ]
+          },
+          strict: { type: 'boolean', default: true }
+        }
+      },
+      schedule: {
+        type: 'object',
+        default: {},
+        fields: {
+          timezone: { type: 'string', default: 'Asia/Kolkata' },
+          times: {
+            type: 'array',
+            default: ['11:00', '14:00', '17:00', '21:00'],
+            items: TIME_OF_DAY
+          }
+        }
+      },
+      sending: {
+        type: 'object',
+        default: {},
+        fields: {
+          intervalSeconds: { type: 'number', min: 0, default: 60 },
+          perHour: { type: 'number', min: 1, default: 12 },
+          perDay: { type: 'number', min: 1, default: 50 },
+          warmup: {
+            type: 'object',
+            default: {},
+            fields: {
+              days: { type: 'number', min: 0, default: 21 },
+              startPerDay: { type: 'number', min: 1, default: 10 }
+            }
+          },
+          window: {
+            type: 'object',
+            default: {},
+            fields: {
+              start: { ...TIME_OF_DAY, default: '09:00' },
+              end: { ...TIME_OF_DAY, default: '18:00' },
+              recipientTimezone: { type: 'boolean', default: true }
+            }
+          }
+        }
+      },
+      // Days before a company or contact can be emailed again, by how the last contact went
+      cooldowns: {
+        type: 'object',
+        default: {},
+        fields: {
+          sent: { type: 'number', min: 0, default: 180 },
+          replied: { type: 'number', min: 0, default: 365 },
+          negative: { type: 'number', min: 0, default: 365 },
+          optedOut: { type: 'number', min: 0, default: 730 },
+          failed: { type: 'number', min: 0, default: 0 },
+          rejected: { type: 'number', min: 0, default: 180 },
+          differentRoleFamily: { type: 'boolean', default: false },
+          // First entry is the family name; a role goes to the family with the longest matching keyword
+          roleFamilies: {
+            type: 'array',
+            default: [
+              ['Full Stack', 'full stack', 'fullstack', 'full-stack'],
+              ['Mobile', 'mobile', 'android', 'iOS', 'flutter', 'react native'],
+              ['Data / ML', 'data', 'machine learning', 'ML', 'AI', 'analytics'],
+              ['DevOps / SRE', 'devops', 'SRE', 'site reliability', 'platform', 'infrastructure', 'cloud'],
+              ['QA', 'QA', 'test', 'SDET', 'quality'],
+              ['Security', 'security'],
+              ['Product', 'product manager', 'product owner'],
+              ['Design', 'designer', 'UX'],
+              ['Management', 'manager', 'head of', 'director', 'VP'],
+              ['Frontend', 'frontend', 'front-end', 'front end', 'UI'],
+              ['Backend', 'backend', 'back-end', 'back end', 'API']
+            ],
+            items: { ...stringArray, required: true }
+          }
+        }
+      },
+      scoring: {
+        type: 'object',
+        default: {},
+        fields: {
+          minScore: { type: 'number', default: 0 },
+          workType: {
+            type: 'object',
+            default: {},
+            fields: {
+              remote: { type: 'number', default: 100 },
+              hybrid: { type: 'number', default: 50 },
+              onsite: { type: 'number', default: 10 }
+            }
+          },
+          famous: { type: 'number', default: 25 },
+          skillMatch: { type: 'number', default: 15 },
+          rules: {
+            type: 'array',
+            default: [
+              { label: 'foreign company', field: 'companyType', contains: ['foreign', 'international'], points: 40 },
+              { label: 'startup', field: 'companyType', contains: ['startup'], points: 30 },
+              { label: 'Series B/C', field: 'fundingStage', contains: ['series b', 'series c'], points: 20 },
+              { label: 'Series A', field: 'fundingStage', contains: ['series a'], points: 15 }
+            ],
+            items: {
+              type: 'object',
+              fields: {
+                label: { type: 'string' },
+                field: { type: 'enum', values: ['company', 'role', 'companyType', 'fundingStage', 'location', 'snippet', 'requirements', 'source'], required: true },
+                contains: { ...stringArray, required: true },
+                points: { type: 'number', required: true }
+              }
+            }
+          },
+          synonyms: {
+            type: 'array',
+            default: [
+              ['Node.js', 'Node', 'NodeJS'],
+              ['JavaScript', 'JS'],
+              ['TypeScript', 'TS'],
+              ['Go', 'Golang'],
+              ['PostgreSQL', 'Postgres'],
+              ['MongoDB', 'Mongo'],
+              ['Kubernetes', 'K8s'],
+              ['React', 'React.js', 'ReactJS'],
+              ['Next.js', 'NextJS'],
+              ['Vue', 'Vue.js', 'VueJS'],
+              ['Express', 'Express.js'],
+              ['AWS', 'Amazon Web Services'],
+              ['GCP', 'Google Cloud']
+            ],
+            items: { ...stringArray, required: true }
+          }
+        }
+      },
+      email: {
+        type: 'object',
+        default: {},
+        fields: {
+          maxWords: { type: 'number', min: 40, max: 500, default: 160 },
+          tone: { type: 'string', default: 'confident, self-aware, slightly audacious — someone they WANT to work with' }
+        }
+      },
+      // Tailored copies of resume.pdf; each job gets the best match, or resume.pdf when none fits
+      resumes: {
+        type: 'object',
+        default: {},
+        fields: {
+          dir: { type: 'string', default: 'resumes' },
+          variants: {
+            type: 'array',
+            default: [],
+            items: {
+              type: 'object',
+              fields: {
+                name: { type: 'string', required: true },
+                file: { type: 'string', required: true },
+                roles: stringArray,
+                targetAreas: { type: 'array', default: [], items: { type: 'enum', values: TARGET_AREAS } },
+                companyTypes: stringArray,
+                focus: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const EMPTY_VALUES = ['', 'null', 'none', 'n/a', 'na', 'unknown', 'undefined'];
+
+// Returns { value, errors, repairs }; `value` is undefined when the field is unusable
+function validateValue(schema, raw, fieldPath, result) {
+  const isEmpty = raw === null || raw === undefined
+    || (typeof raw === 'string' && EMPTY_VALUES.includes(raw.trim().toLowerCase()));
+
+  if (isEmpty) {
+    if (schema.required) {
+      result.errors.push(`${fieldPath}: missing required field`);
+      return undefined;
+    }
+    // Missing objects still get their fields' defaults
+    if (schema.type === 'object' && schema.default !== undefined) {
+      return validateValue(schema, structuredClone(schema.default), fieldPath, result);
+    }
+    return schema.default !== undefined ? structuredClone(schema.default) : null;
+  }
+
+  switch (schema.type) {
+    case 'string': {
+      if (typeof raw === 'string') {
+        if (schema.pattern && !schema.pattern.test(raw.trim())) {
+          result.errors.push(`${fieldPath}: "${raw}" ${schema.patternHint || 'has the wrong format'}`);
+          return undefined;
+        }
+        return raw.trim();
+      }
+      if (typeof raw === 'number' || typeof raw === 'boolean') {
+        result.repairs.push(`${fieldPath}: converted ${typeof raw} to string`);
+        return String(raw);
+      }
+      result.errors.push(`${fieldPath}: expected a string`);
+      return undefined;
+    }
+
+    case 'number': {
+      let value = raw;
+      if (typeof raw === 'string') {
+        // The leading number only: "85/100" is 85, not 85100. Thousands separators are dropped first.
+        const match = raw.replace(/(\d),(?=\d{3}\b)/g, '$1').match(/-?\d+(\.\d+)?/);
+        value = match ? parseFloat(match[0]) : NaN;
+        if (!Number.isNaN(value)) result.repairs.push(`${fieldPath}: parsed "${raw}" as ${value}`);
+      }
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        result.errors.push(`${fieldPath}: expected a number`);
+        return undefined;
+      }
+      const clamped = Math.min(schema.max ?? Infinity, Math.max(schema.min ?? -Infinity, value));
+      if (clamped !== value) result.repairs.push(`${fieldPath}: clamped ${value} to ${clamped}`);
+      return clamped;
+    }
+
+    case 'boolean': {
+      if (typeof raw === 'boolean') return raw;
+      const text = String(raw).trim().toLowerCase();
+      if (['true', 'yes', '1'].includes(text)) return true;
+      if (['false', 'no', '0'].includes(text)) return false;
+      result.errors.push(`${fieldPath}: expected true or false`);
+      return undefined;
+    }
+
+    case 'email': {
+      const email = String(raw).trim().toLowerCase().replace(/^mailto:/, '').replace(/^<|>$/g, '');
+      if (!/^[^\s@<>()]+@[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(email)) {
+        result.errors.push(`${fieldPath}: "${raw}" is not a valid email address`);
+        return undefined;
+      }
+      if (email !== raw) result.repairs.push(`${fieldPath}: normalized "${raw}" to ${email}`);
+      return email;
+    }
+
+    case 'domain': {
+      const domain = String(raw).trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
+      if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) {
+        result.repairs.push(`${fieldPath}: dropped invalid domain "${raw}"`);
+        return null;
+      }
+      return domain;
+    }
+
+    case 'enum': {
+      const text = String(raw).trim().toLowerCase();
+      const normalized = text.replace(/[\s-]+/g, '_');
+      const exact = schema.values.find(value => value.toLowerCase() === text || value.toLowerCase() === normalized);
+      if (exact) return exact;
+
+      // e.g. "Remote (US only)" → remote, "On-site, Bangalore" → onsite
+      for (const [value, aliases] of Object.entries(schema.aliases || {})) {
+        if (aliases.some(alias => text.includes(alias))) {
+          result.repairs.push(`${fieldPath}: mapped "${raw}" to ${value}`);
+          return value;
+        }
+      }
+      result.errors.push(`${fieldPath}: "${raw}" is not one of ${schema.values.join(', ')}`);
+      return undefined;
+    }
+
+    case 'array': {
+      let items = raw;
+      if (!Array.isArray(raw)) {
+        if (typeof raw === 'string' && schema.items.type === 'string') {
+          items = raw.split(/\s*[,;]\s*/).filter(Boolean);
+          result.repairs.push(`${fieldPath}: split string into list`);
+        } else if (typeof raw === 'object') {
+          items = [raw];
+          result.repairs.push(`${fieldPath}: wrapped single object in a list`);
+        } else {
+          result.errors.push(`${fieldPath}: expected a list`);
+          return undefined;
+        }
+      }
+
+      const values = [];
+      items.forEach((item, i) => {
+        const itemResult = { errors: [], repairs: [], dropped: result.dropped };
+        const value = validateValue(schema.items, item, `${fieldPath}[${i}]`, itemResult);
+        result.repairs.push(...itemResult.repairs);
+
+        if (value === undefined || value === null || itemResult.errors.length > 0) {
+          if (schema.dropInvalid || schema.items.type === 'string') {
+            if (itemResult.errors.length > 0) {
+              result.dropped.push({ path: `${fieldPath}[${i}]`, item, reasons: itemResult.errors });
+            }
+          } else {
+            result.errors.push(...itemResult.errors);
+          }
+          return;
+        }
+        values.push(value);
+      });
+      return values;
+    }
+
+    case 'object': {
+      if (typeof raw !== 'object' || Array.isArray(raw)) {
+        result.errors.push(`${fieldPath}: expected an object`);
+        return undefined;
+      }
+
+      const value = { ...raw };
+      for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+        const fieldValue = validateValue(fieldSchema, raw[key], fieldPath ? `${fieldPath}.${key}` : key, result);
+        if (fieldValue !== undefined) value[key] = fieldValue;
+      }
+      return value;
+    }
+
+    default:
+      return raw;
+  }
+}
+
+function validateResponse(schemaName, raw, fieldPath = schemaName) {
+  const result = { errors: [], repairs: [], dropped: [] };
+  const value = validateValue(SCHEMAS[schemaName], raw, fieldPath, result);
+  return { value, ...result };
+}
+
+// Validates a list of items one by one; bad items are dropped with a reason instead of failing the batch
+function validateList(schemaName, raw, listName) {
+  const items = Array.isArray(raw) ? raw : (raw && typeof raw === 'object' ? [raw] : []);
+  const valid = [];
+  const dropped = [];
+  const repairs = [];
+
+  items.forEach((item, i) => {
+    const result = validateResponse(schemaName, item, `${listName}[${i}]`);
+    repairs.push(...result.repairs);
+    if (result.errors.length > 0) {
+      dropped.push({ item, reasons: result.errors });
+    } else {
+      valid.push(result.value);
+    }
+  });
+
+  return { valid, dropped, repairs };
+}
+
+function createValidationError(message, validationErrors) {
+  const error = new Error(`${message}: ${validationErrors.slice(0, 3).join('; ')}${validationErrors.length > 3 ? ` (+${validationErrors.length - 3} more)` : ''}`);
+  error.validationErrors = validationErrors;
+  return error;
+}
+
+// Appended to the prompt on retry so the model can correct its own output
+function withValidationFeedback(prompt, lastError) {
+  if (!lastError?.validationErrors) return prompt;
+
+  return `${prompt}
+
+YOUR PREVIOUS RESPONSE WAS REJECTED BY VALIDATION. Fix these problems and return the complete corrected JSON object:
+${lastError.validationErrors.map(e => `- ${e}`).join('\n')}`;
+}
+
+// User preferences: JOBHUNTER_CONFIG, or the first jobhunter.config.(json|yaml|yml) in the project root
+const CONFIG_FILES = ['jobhunter.config.json', 'jobhunter.config.yaml', 'jobhunter.config.yml'];
+
+async function findConfigFile() {
+  if (process.env.JOBHUNTER_CONFIG) return path.resolve(HOME_DIR, process.env.JOBHUNTER_CONFIG);
+
+  for (const name of CONFIG_FILES) {
+    try {
+      await fs.access(path.join(HOME_DIR, name));
+      return path.join(HOME_DIR, name);
+    } catch {
+      // try the next one
+    }
+  }
+  return null;
+}
+
+// Settings the schema doesn't know about are most likely typos
+function findUnknownKeys(schema, raw, fieldPath) {
+  if (schema.type !== 'object' || !raw || typeof raw !== 'object' || Array.isArray(raw)) return [];
+
+  return Object.entries(raw).flatMap(([key, value]) => schema.fields[key]
+    ? findUnknownKeys(schema.fields[key], value, `${fieldPath}.${key}`)
+    : [`${fieldPath}.${key}`]);
+}
+
+async function loadConfig() {
+  const configPath = await findConfigFile();
+  const errors = [];
+  let raw = {};
+
+  if (configPath) {
+    try {
+      const text = await fs.readFile(configPath, 'utf-8');
+      raw = (/\.ya?ml$/i.test(configPath) ? YAML.parse(text) : JSON.parse(text)) ?? {};
+    } catch (error) {
+      errors.push(error.message.split('\n')[0]);
+    }
+  }
+
+  const result = validateResponse('config', raw, 'config');
+  errors.push(...result.errors, ...result.dropped.flatMap(d => d.reasons));
+
+  const config = result.value;
+  if (config) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: config.schedule.timezone });
+    } catch {
+      errors.push(`config.schedule.timezone: "${config.schedule.timezone}" is not a valid IANA timezone`);
+    }
+
+    // Variant names are what the history records, so they must be unique
+    const names = config.resumes.variants.map(v => v.name.toLowerCase());
+    names.filter((name, i) => names.indexOf(name) !== i || name === DEFAULT_RESUME_VARIANT.name)
+      .forEach(name => errors.push(`config.resumes.variants: the name "${name}" is ${name === DEFAULT_RESUME_VARIANT.name ? 'reserved for resume.pdf' : 'used twice'}`));
+  }
+
+  if (errors.length > 0) {
+    console.error(`❌ Invalid preferences in ${path.basename(configPath || CONFIG_FILES[0])}:`);
+    errors.forEach(e => console.error(`   • ${e}`));
+    process.exit(1);
+  }
+
+  for (const key of findUnknownKeys(SCHEMAS.config, raw, 'config')) {
+    console.warn(`⚠️ Unknown setting ${key} in ${path.basename(configPath)} (ignored)`);
+  }
+
+  // Without explicit rules, every work type is fine in the preferred cities
+  if (config.location.workTypes.length === 0) {
+    config.location.workTypes = [{ cities: config.location.preferredCities, allow: Object.keys(WORK_TYPE_ALIASES) }];
+  }
+
+  config.path = configPath;
+  return config;
+}
+
+const CONFIG = await loadConfig();
+
+const EMAIL_INTERVAL_MS = CONFIG.sending.intervalSeconds * 1000; // between emails
+const HOUR_MS = 60 * 60 * 1000;
+
+// Recipient timezone inferred from job.location; first match wins, so cities come before countries
+const LOCATION_TIMEZONES = [
+  [/bengaluru|bangalore|mumbai|delhi|gurgaon|gurugram|noida|pune|hyderabad|chennai|kolkata|ahmedabad|india\b/i, 'Asia/Kolkata'],
+  [/san francisco|bay area|silicon valley|palo alto|mountain view|seattle|los angeles|portland|vancouver|california|\bpst\b|\bpt\b|pacific/i, 'America/Los_Angeles'],
+  [/denver|boulder|phoenix|\bmst\b|mountain time/i, 'America/Denver'],
+  [/chicago|austin|dallas|houston|texas|\bcst\b|central time/i, 'America/Chicago'],
+  [/new york|nyc|boston|toronto|montreal|miami|atlanta|washington|\best\b|\bet\b|eastern/i, 'America/New_York'],
+  [/london|manchester|edinburgh|dublin|ireland|\buk\b|united kingdom|\bgmt\b/i, 'Europe/London'],
+  [/berlin|munich|hamburg|germany|amsterdam|netherlands|paris|france|madrid|barcelona|spain|stockholm|sweden|copenhagen|zurich|switzerland|warsaw|poland|lisbon|portugal|\bcet\b|europe/i, 'Europe/Berlin'],
+  [/dubai|abu dhabi|\buae\b/i, 'Asia/Dubai'],
+  [/singapore/i, 'Asia/Singapore'],
+  [/tokyo|japan/i, 'Asia/Tokyo'],
+  [/sydney|melbourne|australia/i, 'Australia/Sydney'],
+  [/canada/i, 'America/Toronto'],
+  [/united states|\busa?\b|america/i, 'America/New_York']
+];
+
+// Falls back to the schedule timezone for remote or unrecognized locations
+function getRecipientTimezone(job) {
+  if (CONFIG.sending.window.recipientTimezone) {
+    const match = LOCATION_TIMEZONES.find(([pattern]) => pattern.test(job.location || ''));
+    if (match) return match[1];
+  }
+  return CONFIG.schedule.timezone;
+}
+
+function getLocalTime(timeZone, date = new Date()) {
+  return new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(date);
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// A window whose end is before its start wraps past midnight, e.g. 22:00–06:00
+function isInSendWindow(timeZone, date = new Date()) {
+  const now = toMinutes(getLocalTime(timeZone, date));
+  const start = toMinutes(CONFIG.sending.window.start);
+  const end = toMinutes(CONFIG.sending.window.end);
+  return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
+// The daily cap ramps linearly from warmup.startPerDay to perDay over warmup.days, counted from the first send
+function getWarmupDailyCap(firstSentAt, perDay) {
+  const { warmup } = CONFIG.sending;
+  if (warmup.days === 0) return perDay;
+  const day = firstSentAt ? Math.floor((Date.now() - new Date(firstSentAt).getTime()) / DAY_MS) : 0;
+  if (day >= warmup.days) return perDay;
+  return Math.min(perDay, Math.round(warmup.startPerDay + (perDay - warmup.startPerDay) * day / warmup.days));
+}
+
+// Per sending account; outreach and follow-ups both count and hour and day are rolling windows
+async function getSendQuota(account) {
+  const db = await getStore();
+  const countSince = ms => db.prepare('SELECT COUNT(*) AS count FROM send_log WHERE account = ? AND sent_at >= ?')
+    .get(account.id, new Date(Date.now() - ms).toISOString()).count;
+  const { firstSentAt } = db.prepare('SELECT MIN(sent_at) AS firstSentAt FROM send_log WHERE account = ?').get(account.id);
+  const warmupDay = firstSentAt ? Math.floor((Date.now() - new Date(firstSentAt).getTime()) / DAY_MS) + 1 : 1;
+
+  return {
+    hour: countSince(HOUR_MS),
+    perHour: account.perHour || CONFIG.sending.perHour,
+    day: countSince(DAY_MS),
+    perDay: getWarmupDailyCap(firstSentAt, account.perDay || CONFIG.sending.perDay),
+    warmupDay: warmupDay <= CONFIG.sending.warmup.days ? warmupDay : null
+  };
+}
+
+function describeQuota(quota) {
+  const warmup = quota.warmupDay ? ` (warm-up day ${quota.warmupDay}/${CONFIG.sending.warmup.days})` : '';
+  return `${quota.hour}/${quota.perHour} this hour, ${quota.day}/${quota.perDay} today${warmup}`;
+}
+
+function getQuotaBlock(quota) {
+  if (quota.day >= quota.perDay) return `Daily cap reached (${quota.day}/${quota.perDay})`;
+  if (quota.hour >= quota.perHour) return `Hourly cap reached (${quota.hour}/${quota.perHour})`;
+  return null;
+}
+
+function describeAccount(account) {
+  return SMTP_ACCOUNTS.length > 1 ? `${account.id} <${account.email}>: ` : '';
+}
+
+// Why an account can't send right now (paused after a rejection, or at its cap), or null
+async function getAccountBlock(account) {
+  if (account.pausedUntil > Date.now()) return `Paused after ${account.pauseReason}`;
+  return getQuotaBlock(await getSendQuota(account));
+}
+
+// Rotation by quota: accounts with the most sends left today go first; blocked ones are left out
+async function getAvailableAccounts() {
+  const available = [];
+  const blocks = [];
+
+  for (const account of SMTP_ACCOUNTS) {
+    const block = await getAccountBlock(account);
+    if (block) {
+      blocks.push(`${describeAccount(account)}${block}`);
+      continue;
+    }
+    const quota = await getSendQuota(account);
+    available.push({ account, left: Math.min(quota.perDay - quota.day, quota.perHour - quota.hour) });
+  }
+
+  return {
+    accounts: available.sort((a, b) => b.left - a.left).map(a => a.account),
+    block: blocks.join('; ')
+  };
+}
+
+// The first location rule whose cities appear in the job's location decides; otherwise `elsewhere` applies
+function getAllowedWorkTypes(location) {
+  const text = (location || '').toLowerCase();
+  const rule = CONFIG.location.workTypes.find(r => r.cities.some(city => text.includes(city.toLowerCase())));
+  return rule ? rule.allow : CONFIG.location.elsewhere;
+}
+
+function describeWorkTypeBlock(job) {
+  return `${job.workType || 'Unknown work type'} not allowed in ${job.location || 'unknown location'}`;
+}
+
+function isCompanyDenied(company) {
+  return CONFIG.companies.deny.some(denied => normalizeCompanyName(denied) === normalizeCompanyName(company));
+}
+
+// Job-board adapters: real postings from Greenhouse, Lever and Ashby public boards and RSS/Atom feeds,
+// normalized into the job shape scoreJob() and isWorkTypeAllowed() use, with the posting URL and date kept.
+// A JOB_BOARDS target starting with ./, ../ or / is read from disk instead (saved responses / fixtures).
+function parseJobBoardSpec(spec) {
+  const separator = spec.indexOf(':');
+  if (separator === -1) throw new Error('expected <type>:<board>');
+
+  const type = spec.slice(0, separator).trim().toLowerCase();
+  const target = spec.slice(separator + 1).trim();
+  const isFile = /^(\.{1,2}\/|\/)/.test(target);
+
+  let board = target;
+  if (isFile) board = path.basename(target, path.extname(target));
+  else if (type === 'rss') board = new URL(target).hostname;
+
+  return { type, target, isFile, board, label: `${type}:${board}` };
+}
+
+async function fetchBoardData(url, source, { xml = false } = {}) {
+  let text;
+  if (source.isFile) {
+    text = await fs.readFile(path.resolve(HOME_DIR, source.target), 'utf-8');
+  } else {
+    const response = await fetch(url, {
+      headers: { 'User-Agent': 'smart-job-auto-applier' },
+      signal: AbortSignal.timeout(30 * 1000),
+    });
+    if (!response.ok) throw new Error(`${url} returned HTTP ${response.status}`);
+    text = await response.text();
+  }
+  return xml ? text : JSON.parse(text);
+}
+
+function decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1));
+      // Out of range or a lone surrogate (fromCodePoint would throw or emit broken text): keep the entity as is
+      const valid = code <= 0x10ffff && (code < 0xd800 || code > 0xdfff);
+      return valid ? String.fromCodePoint(code) : match;
+    }
+    return named[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Greenhouse sends entity-escaped HTML, so entities are decoded before and after stripping tags
+function htmlToText(html) {
+  return decodeEntities(
+    decodeEntities(String(html || ''))
+      .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+      .replace(/<li[^>]*>/gi, '\n• ')
+      .replace(/<(br|\/p|\/div|\/h\d|\/ul)[^>]*>/gi, '\n')
+      .replace(/<[^>]+>/g, ' ')
+  )
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+function extractRequirements(text) {
+  const match = text.match(/(?:requirements|qualifications|what you(?:'ll)? (?:need|bring)|about you|you have)\s*:?\s*\n([\s\S]{0,600})/i);
+  return match ? match[1].trim() : '';
+}
+
+// Hybrid is checked first so "Remote / Hybrid" doesn't read as fully remote; no hint means onsite
+function inferWorkType(...hints) {
+  const text = hints.filter(Boolean).join(' ').toLowerCase();
+  if (WORK_TYPE_ALIASES.hybrid.some(alias => text.includes(alias))) return 'hybrid';
+  if (WORK_TYPE_ALIASES.remote.some(alias => text.includes(alias))) return 'remote';
+  return 'onsite';
+}
+
+function titleCase(slug) {
+  return slug.replace(/[-_]+/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+function createListing(source, { id, company, role, location, workType, description, url, postedAt }) {
+  const text = htmlToText(description);
+  const date = postedAt ? new Date(postedAt) : null;
+
+  return {
+    id: `${source.label}:${id}`,
+    source: source.label,
+    company,
+    role,
+    location: location || '',
+    workType,
+    snippet: text.replace(/\s+/g, ' ').slice(0, 300),
+    requirements: extractRequirements(text),
+    description: text.slice(0, 2000),
+    url: url || null,
+    postedAt: date && !Number.isNaN(date.getTime()) ? date.toISOString() : null,
+  };
+}
+
+// Reads the text of the first <tag> in an XML fragment, unwrapping CDATA
+function readXmlTag(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+  return match ? match[1].replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1').trim() : '';
+}
+
+// Feed titles are usually "Company: Role" or "Role at Company"
+function splitFeedTitle(title, fallbackCompany) {
+  let match = title.match(/^([^:|]+?)\s*[:|]\s*(.+)$/);
+  if (match) return { company: match[1].trim(), role: match[2].trim() };
+
+  match = title.match(/^(.+?)\s+at\s+(.+)$/i);
+  if (match) return { company: match[2].trim(), role: match[1].trim() };
+
+  return { company: fallbackCompany, role: title };
+}
+
+const JOB_BOARD_ADAPTERS = {
+  // https://developers.greenhouse.io/job-board.html
+  async greenhouse(source) {
+    const data = await fetchBoardData(`https://boards-api.greenhouse.io/v1/boards/${encodeURIComponent(source.board)}/jobs?content=true`, source);
+    return (data.jobs || []).map(job => createListing(source, {
+      id: job.id,
+      company: job.company_name || titleCase(source.board),
+      role: job.title,
+      location: job.location?.name,
+      workType: inferWorkType(job.location?.name),
+      description: job.content,
+      url: job.absolute_url,
+      postedAt: job.first_published || job.updated_at,
+    }));
+  },
+
+  // https://github.com/lever/postings-api
+  async lever(source) {
+    const data = await fetchBoardData(`https://api.lever.co/v0/postings/${encodeURIComponent(source.board)}?mode=json`, source);
+    return (Array.isArray(data) ? data : []).map(job => {
+      const location = job.categories?.location || (job.categories?.allLocations || []).join(', ');
+      const workplace = job.workplaceType === 'unspecified' ? null : job.workplaceType;
+      return createListing(source, {
+        id: job.id,
+        company: titleCase(source.board),
+        role: job.text,
+        location,
+        workType: workplace === 'on-site' ? 'onsite' : inferWorkType(workplace, location),
+        description: [job.descriptionPlain || job.description, ...(job.lists || []).map(l => `${l.text}:\n${l.content}`), job.additionalPlain].filter(Boolean).join('\n'),
+        url: job.hostedUrl,
+        postedAt: job.createdAt,
+      });
+    });
+  },
+
+  // https://developers.ashbyhq.com/docs/public-job-posting-api
+  async ashby(source) {
+    const data = await fetchBoardData(`https://api.ashbyhq.com/posting-api/job-board/${encodeURIComponent(source.board)}`, source);
+    return (data.jobs || []).filter(job => job.isListed !== false).map(job => createListing(source, {
+      id: job.id,
+      company: titleCase(source.board),
+      role: job.title,
+      location: job.location,
+      workType: job.workplaceType === 'OnSite' ? 'onsite' : inferWorkType(job.workplaceType, job.isRemote ? 'remote' : null, job.location),
+      description: job.descriptionPlain || job.descriptionHtml,
+      url: job.jobUrl,
+      postedAt: job.publishedAt,
+    }));
+  },
+
+  // Any RSS 2.0 or Atom feed of postings
+  async rss(source) {
+    const xml = await fetchBoardData(source.target, source, { xml: true });
+    const feedTitle = htmlToText(readXmlTag(xml.split(/<(?:item|entry)[\s>]/i)[0], 'title')) || titleCase(source.board);
+    const entries = xml.match(/<(item|entry)[\s>][\s\S]*?<\/\1>/gi) || [];
+
+    return entries.map(entry => {
+      const title = htmlToText(readXmlTag(entry, 'title'));
+      const { company, role } = splitFeedTitle(title, htmlToText(readXmlTag(entry, 'company')) || feedTitle);
+      const link = readXmlTag(entry, 'link') || (entry.match(/<link[^>]*href="([^"]+)"/i) || [])[1];
+      const location = htmlToText(readXmlTag(entry, 'region') || readXmlTag(entry, 'location'));
+
+      return createListing(source, {
+        id: readXmlTag(entry, 'guid') || readXmlTag(entry, 'id') || link,
+        company,
+        role,
+        location,
+        workType: inferWorkType(location, title),
+        description: readXmlTag(entry, 'content:encoded') || readXmlTag(entry, 'description') || readXmlTag(entry, 'content') || readXmlTag(entry, 'summary'),
+        url: decodeEntities(link || ''),
+        postedAt: readXmlTag(entry, 'pubDate') || readXmlTag(entry, 'published') || readXmlTag(entry, 'updated'),
+      });
+    });
+  },
+};
+
+// Write to a temp file and rename it over the target, so a crash mid-write never leaves truncated JSON behind
+async function writeFileAtomic(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, data);
+  await fs.rename(tmpPath, filePath);
+}
+
+// Staged LLM pipeline: profile → sources → jobs → contacts (per company) → drafts (per recipient)
+// Every step is persisted to pipeline.json so a failure in one stage keeps the rest and a stage can be re-run alone.
+async function loadPipelineRun() {
+  try {
+    const data = await fs.readFile(PIPELINE_PATH, 'utf-8');
+    return JSON.parse(data);
+  } catch (error) {
+    return null;
+  }
+}
+
+async function savePipelineRun(run) {
+  run.updatedAt = new Date().toISOString();
+  await writeFileAtomic(PIPELINE_PATH, JSON.stringify(run, null, 2));
+}
+
+function createPipelineRun(resumeFile) {
+  return {
+    runId: crypto.randomBytes(4).toString('hex'),
+    startedAt: new Date().toISOString(),
+    llm: { provider: llm.name, model: llm.model },
+    resumeFile: describeResumeFile(resumeFile),
+    stages: {
+      profile: { status: 'pending' },
+      sources: { status: 'pending' },
+      jobs: { status: 'pending' },
+      contacts: {},
+      drafts: {}
+    }
+  };
+}
+
+function companyKey(company) {
+  return (company || '').trim().toLowerCase();
+}
+
+// Extracts the JSON object from a model reply, tolerating code fences, comment lines and trailing commas
+function parseJsonResponse(text) {
+  const jsonMatch = text.replace(/```(?:json)?/gi, '').match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw createValidationError('No valid JSON found in response', ['Response did not contain a JSON object']);
+  }
+
+  try {
+    return JSON.parse(jsonMatch[0]);
+  } catch (error) {
+    const repaired = jsonMatch[0]
+      .replace(/^\s*\/\/.*$/gm, '')
+      .replace(/,\s*([}\]])/g, '$1');
+    try {
+      return JSON.parse(repaired);
+    } catch {
+      throw createValidationError('Response was not valid JSON', [`JSON parse error: ${error.message}`]);
+    }
+  }
+}
+
+function logValidationIssues(label, repairs, dropped) {
+  if (repairs.length > 0) {
+    console.log(`   🔧 ${label}: ${repairs.length} field(s) repaired (${repairs.slice(0, 3).join('; ')}${repairs.length > 3 ? '; ...' : ''})`);
+  }
+  for (const d of dropped) {
+    const name = d.item?.company || d.item?.email || d.item?.name || d.path || 'item';
+    console.log(`   🗑️  ${label}: dropped ${name} — ${d.reasons.join('; ')}`);
+  }
+}
+
+function summarizeDropped(dropped) {
+  return dropped.map(d => ({
+    item: d.item?.company || d.item?.email || d.item?.name || d.path || null,
+    reasons: d.reasons
+  }));
+}
+
+async function generateJson(prompt, { search = false, file = null } = {}) {
+  const text = await generateText(prompt, { search, file, json: true });
+  return parseJsonResponse(text);
+}
+
+// Hand-written listings: an array of postings (or { "jobs": [...] }); a missing file means none
+async function loadManualListings() {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(JOB_SOURCES_PATH, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const listings = Array.isArray(data) ? data : data.jobs;
+  if (!Array.isArray(listings)) throw new Error(`${path.basename(JOB_SOURCES_PATH)} must contain an array of job postings`);
+  return listings.map((listing, i) => ({ id: `manual:${i}`, source: 'manual', ...listing }));
+}
+
+// Pulls listings from every configured job board plus jobSources.json; one failing board doesn't stop the rest
+async function fetchJobListings() {
+  const listings = [];
+  const failures = [];
+
+  for (const spec of JOB_BOARDS) {
+    try {
+      const source = parseJobBoardSpec(spec);
+      const adapter = JOB_BOARD_ADAPTERS[source.type];
+      if (!adapter) {
+        throw new Error(`unknown board type "${source.type}" (expected one of: ${Object.keys(JOB_BOARD_ADAPTERS).join(', ')})`);
+      }
+
+      const found = await adapter(source);
+      console.log(`   📥 ${source.label}: ${found.length} postings`);
+      listings.push(...found);
+    } catch (error) {
+      console.error(`   ⚠️  ${spec}: ${error.message}`);
+      failures.push(`${spec}: ${error.message}`);
+    }
+  }
+
+  const manual = await loadManualListings();
+  if (manual) {
+    console.log(`   📥 ${path.basename(JOB_SOURCES_PATH)}: ${manual.length} postings`);
+    listings.push(...manual);
+  }
+
+  if (listings.length === 0 && failures.length > 0) {
+    throw new Error(`Every job board failed (${failures.join('; ')})`);
+  }
+  if (JOB_BOARDS.length === 0 && !manual) {
+    throw new Error(`No job sources — set JOB_BOARDS or create ${path.basename(JOB_SOURCES_PATH)}`);
+  }
+  return listings;
+}
+
+async function hasJobSources() {
+  if (JOB_BOARDS.length > 0) return true;
+  try {
+    await fs.access(JOB_SOURCES_PATH);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Only the best-matching listings go to the LLM so large boards don't blow up the prompt
+function selectListings(listings, profile) {
+  return listings
+    .map(listing => ({ listing, score: scoreJob(listing, profile).score }))
+    .sort((a, b) => b.score - a.score || new Date(b.listing.postedAt || 0) - new Date(a.listing.postedAt || 0))
+    .slice(0, JOB_LISTINGS_LIMIT)
+    .map(({ listing }) => listing);
+}
+
+function findListing(run, company) {
+  return (run.stages.sources?.output || []).find(l => companyKey(l.company) === companyKey(company)) || null;
+}
+
+// Runs one step with retries and records status, attempts, error and output on its state slot.
+// `fn` receives the previous attempt's error so validation failures can be fed back into the prompt.
+async function runStageStep(run, slot, label, fn) {
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= STAGE_MAX_ATTEMPTS; attempt++) {
+    slot.attempts = attempt;
+    try {
+      slot.output = await fn(lastError);
+      slot.status = 'done';
+      slot.error = null;
+      slot.validationErrors = null;
+      slot.completedAt = new Date().toISOString();
+      await savePipelineRun(run);
+      return slot.output;
+    } catch (error) {
+      lastError = error;
+      slot.error = error.message;
+      slot.validationErrors = error.validationErrors || null;
+      console.error(`   ⚠️  ${label} failed (attempt ${attempt}/${STAGE_MAX_ATTEMPTS}): ${error.message}`);
+      if (attempt < STAGE_MAX_ATTEMPTS) {
+        await delay(STAGE_RETRY_DELAY_MS * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  slot.status = 'failed';
+  await savePipelineRun(run);
+  return null;
+}
+
+function shouldRunStep(slot, { company = null, onlyIncomplete = false } = {}, key = null) {
+  if (company && key !== companyKey(company)) return false;
+  if (onlyIncomplete && (slot?.status === 'done' || slot?.status === 'skipped')) return false;
+  return true;
+}
+
+function buildProfilePrompt() {
+  return `You are a resume parser and career advisor. Analyze the attached resume PDF.
+
+TASK 1: Extract candidate profile from the resume
+TASK 2: Analyze the resume for ATS compatibility and career targeting
+
+Return ONLY a valid JSON object with this EXACT structure:
+{
+  "profile": {
+    "name": "Full Name from resume",
+    "email": "email@example.com",
+    "phone": "+1234567890",
+    "location": "City, Country",
+    "linkedIn": "linkedin.com/in/username or null",
+    "github": "github.com/username or null",
+    "portfolio": "portfolio-url.com or null",
+    "summary": "Brief professional summary based on resume (2-3 sentences)",
+    "currentRole": "Current or most recent job title",
+    "yearsOfExperience": 5,
+    "skills": {
+      "programmingLanguages": ["JavaScript", "TypeScript", "Python", "Go"],
+      "frameworks": ["React", "Node.js", "Express", "Next.js"],
+      "databases": ["PostgreSQL", "MongoDB", "Redis"],
+      "tools": ["Docker", "Kubernetes", "AWS", "Git"],
+      "other": ["System Design", "Microservices", "REST APIs"]
+    },
+    "experience": [
+      {
+        "company": "Company Name",
+        "role": "Job Title",
+        "duration": "Jan 2020 - Present",
+        "highlights": ["Achievement 1 with metrics", "Achievement 2 with metrics"]
+      }
+    ],
+    "education": [
+      {
+        "institution": "University Name",
+        "degree": "Degree Name",
+        "year": "2020"
+      }
+    ],
+    "projects": [
+      {
+        "name": "Project Name",
+        "description": "What the project does",
+        "technologies": ["Tech1", "Tech2"],
+        "url": "github.com/user/project or null"
+      }
+    ],
+    "achievements": ["Quantified achievement 1", "Quantified achievement 2"],
+    "certifications": ["Certification 1", "Certification 2"]
+  },
+  "analysis": {
+    "atsScore": 50,
+    "atsScoreBreakdown": {
+      "keywords": 80,
+      "formatting": 90,
+      "experience": 85,
+      "skills": 88
+    },
+    "targetAreas": {
+      "bestFit": "indian_mid_startup",
+      "ranking": [
+        {"type": "indian_mid_startup", "fitScore": 90, "reason": "Strong relevant skills"},
+        {"type": "foreign_startup", "fitScore": 85, "reason": "Good experience level"},
+        {"type": "mnc", "fitScore": 70, "reason": "May need more enterprise experience"},
+        {"type": "early_startup", "fitScore": 75, "reason": "Good for hands-on roles"}
+      ]
+    },
+    "strengths": ["Strength 1", "Strength 2"],
+    "improvements": ["Improvement 1", "Improvement 2"],
+    "keywordsMissing": ["Keyword 1", "Keyword 2"],
+    "recommendedJobTitles": ["Title 1", "Title 2", "Title 3"]
+  }
+}
+
+PROFILE EXTRACTION RULES:
+- Extract ONLY programming languages/technologies as skills, NOT spoken languages (Bengali, Hindi, English are NOT programming skills)
+- "programmingLanguages" should ONLY contain: JavaScript, TypeScript, Python, Go, Java, C++, Rust, etc.
+- Spoken/human languages should be IGNORED completely
+- Extract ACTUAL data from the resume PDF, don't make up information
+- If a field is not found, use null or empty array
+- Be accurate with names, emails, and contact information
+- Extract ALL quantifiable achievements (numbers, percentages, dollar amounts)
+- For yearsOfExperience, calculate from work history dates
+
+IMPORTANT:
+- bestFit must be one of: "indian_mid_startup", "foreign_startup", "mnc", "early_startup"
+- All data must come from the actual resume PDF provided
+- DO NOT confuse spoken languages with programming languages`;
+}
+
+function buildJobDiscoveryPrompt(profile, analysis, sentCompanies, listings = null) {
+  const candidate = {
+    currentRole: profile.currentRole,
+    yearsOfExperience: profile.yearsOfExperience,
+    location: profile.location,
+    skills: profile.skills,
+    recommendedJobTitles: analysis?.recommendedJobTitles || [],
+    bestFit: analysis?.targetAreas?.bestFit || null
+  };
+
+  const excludeSection = sentCompanies.length > 0
+    ? `
+
+STRICT EXCLUSION - DO NOT INCLUDE THESE COMPANIES (contacted recently):
+${sentCompanies.join(', ')}
+
+DO NOT return any job from the above companies. Find NEW companies only.`
+    : '';
+
+  const { companies, interviewStyle, location } = CONFIG;
+  const denySection = companies.deny.length > 0
+    ? `
+
+NEVER INCLUDE THESE COMPANIES (deny list):
+${companies.deny.join(', ')}`
+    : '';
+  const allowSection = companies.allow.length > 0
+    ? `
+
+ALWAYS CONSIDER THESE COMPANIES (allow list — include any matching opening, even if the AVOID rules would exclude them):
+${companies.allow.join(', ')}`
+    : '';
+  const prioritySection = companies.priority.length > 0
+    ? `
+
+COMPANY PRIORITY (search in this order):
+${companies.priority.map((tier, i) => `${i + 1}. ${tier}`).join('\n')}`
+    : '';
+
+  const workTypeOrder = ['remote', 'hybrid', 'onsite'];
+  const formatWorkTypes = types => workTypeOrder.filter(t => types.includes(t)).map(t => t.toUpperCase()).join(', ') || 'nothing';
+
+  // Without web search the model picks from the provided listings instead of searching
+  const task = listings
+    ? 'You are a job search assistant. Pick the job listings below that match the candidate. Only return jobs from these listings — never invent a job or company.'
+    : 'You are a job search assistant. Search for matching job openings (last 24-48 hours) using Google Search for the candidate below.';
+
+  const listingSection = listings
+    ? `
+
+JOB LISTINGS:
+${JSON.stringify(listings.map(l => ({ id: l.id, company: l.company, role: l.role, location: l.location, workType: l.workType, postedAt: l.postedAt, description: (l.description || '').slice(0, 500) })), null, 2)}`
+    : '';
+
+  const strategySection = listings
+    ? `SELECTION RULES:
+- Add "listingId" to every job with the id of the listing it came from
+- Copy company, companyDomain, role and location exactly from the listing
+- Use the listing's description for snippet and requirements
+- Infer workType (remote, hybrid or onsite) from the listing's location and description`
+    : `SEARCH STRATEGY FOR JOBS:
+- First search for: "[tech stack] jobs at [famous company names] remote 2026"
+- Then search for: "[job title] remote jobs hiring now"
+- Look for recent job postings (last 24-48 hours)
+- Check company career pages, LinkedIn, Wellfound, levels.fyi`;
+
+  return `${task}
+
+CANDIDATE (extracted from their resume):
+${JSON.stringify(candidate, null, 2)}
+${excludeSection}${denySection}${allowSection}${listingSection}
+
+Return ONLY a valid JSON object with this EXACT structure:
+{
+  "jobs": [
+    {
+      "company": "Company Name",
+      "companyDomain": "company.com",
+      "role": "Job Title",
+      "snippet": "Brief job description",
+      "requirements": "Key requirements from job posting",
+      "workType": "remote",
+      "companyType": "foreign_startup",
+      "isFamous": true,
+      "fundingStage": "Series B",
+      "location": "Remote"
+    }
+  ]
+}
+
+JOB SEARCH RULES:
+- Find 10-15 NEW jobs matching the candidate's ACTUAL tech stack
+- ONLY include jobs that match PROGRAMMING technologies in the candidate's skills
+- DO NOT include jobs requiring technologies the candidate does not have
+
+CULTURE FIT FILTER — ${interviewStyle.strict ? 'CRITICAL' : 'PREFERENCE'}:
+${interviewStyle.candidate} Filter jobs accordingly:
+
+PREFER companies/roles that:
+${interviewStyle.prefer.map(rule => `- ${rule}`).join('\n')}
+
+AVOID companies/roles that:
+${interviewStyle.avoid.map(rule => `- ${rule}`).join('\n')}
+
+${interviewStyle.strict
+    ? 'This is a HARD filter — do not include companies matching the AVOID rules even if they are famous or well-funded.'
+    : 'This is a soft preference — companies matching the AVOID rules may be included if they are otherwise a strong fit.'}${prioritySection}
+
+PREFERRED CITIES: ${location.preferredCities.join(', ') || 'none'}
+
+WORK TYPE PRIORITY:
+1. REMOTE positions (fully remote, work from anywhere) - HIGHEST PRIORITY
+2. HYBRID positions (partial remote)
+3. ON-SITE positions only where allowed below
+${location.workTypes.map(rule => `- For jobs IN ${rule.cities.join(' / ')}: ${formatWorkTypes(rule.allow)} acceptable`).join('\n')}
+- For jobs ANYWHERE ELSE: ${formatWorkTypes(location.elsewhere)} only
+
+${strategySection}`;
+}
+
+function buildContactPrompt(job, unreliablePatterns) {
+  const patternSection = unreliablePatterns.length > 0
+    ? `
+
+BOUNCED EMAIL PATTERNS - these inferred patterns bounced at these domains, DO NOT infer them again:
+${unreliablePatterns.map(p => `${p.domain}: ${p.pattern}`).join(', ')}`
+    : '';
+
+  return `You are a research assistant. Using Google Search, find people at ${job.company} who could refer a candidate for the role below.
+
+JOB:
+${JSON.stringify({ company: job.company, companyDomain: job.companyDomain || null, role: job.role, location: job.location }, null, 2)}
+${patternSection}
+
+Return ONLY a valid JSON object with this EXACT structure:
+{
+  "recipients": [
+    {
+      "email": "cto@company.com",
+      "name": "Jane Doe",
+      "title": "CTO",
+      "emailGuessed": false
+    },
+    {
+      "email": "john.smith@company.com",
+      "name": "John Smith",
+      "title": "Senior Engineer",
+      "emailGuessed": true
+    }
+  ]
+}
+
+CRITICAL EMAIL SEARCH RULES — TWO-STEP APPROACH:
+- Find EVERY person you can at the company — no role is off-limits: CEO, CTO, Co-Founder, VP Engineering, Head of Engineering, Engineering Manager, Tech Lead, Team Lead, Senior Engineer, Staff Engineer, Principal Engineer, HR, Talent Acquisition, Recruiter, Hiring Manager, anyone relevant
+- The more contacts the better — there is NO upper limit on recipients
+
+STEP 1 — VERIFY (always try first for each person):
+- Search company websites, LinkedIn profiles, GitHub, Twitter, company blogs, press releases
+- If a publicly listed, confirmed email is found → set emailGuessed: false
+
+STEP 2 — INFER (fallback if no verified email found for that person):
+- First determine the company's email domain from ANY known source (another employee's visible email, website contact page, press release, etc.)
+- For CEO / CTO / Co-Founder / VP-level (senior leadership): use firstname@companydomain.com
+  Example: Deepinder Goyal at Zomato → deepinder@zomato.com
+- For Engineering Manager / Tech Lead / Senior / Staff / Principal Engineer: use firstname.lastname@companydomain.com
+  Example: Ankan Saha at Hoichoi → ankan.saha@hoichoi.tv
+- Set emailGuessed: true for ALL inferred emails
+- If you cannot determine the company's email domain at all, skip that person entirely
+- If you cannot find the person's real name, skip that person entirely (do not guess names)
+
+SEARCH STRATEGY FOR CONTACTS (CRITICAL):
+- Search exhaustively for as many contacts as possible — no cap
+- Search: "${job.company} CTO email", "${job.company} HR email", "${job.company} recruiter email", "${job.company} hiring manager", "${job.company} VP Engineering email", "${job.company} senior engineer LinkedIn", "${job.company} tech lead email", "${job.company} talent acquisition"
+- Check: Company website team/about/contact pages, LinkedIn profiles, GitHub profiles, Twitter/X, company blogs, press releases, job postings (often list recruiter names)
+- For each person: try verified email first (emailGuessed: false), then infer from domain pattern (emailGuessed: true)
+- To find the domain: look for any employee email visible anywhere, or check the company website's contact/about page
+- If you find 0 verified AND cannot determine the domain → return { "recipients": [] }`;
+}
+
+function buildDraftPrompt(profile, job, recipient, usedSubjects, variant = DEFAULT_RESUME_VARIANT) {
+  const usedSection = usedSubjects.length > 0
+    ? `
+
+SUBJECTS ALREADY USED FOR OTHER CONTACTS AT ${job.company} (do NOT reuse or closely mirror them):
+${usedSubjects.map(s => `- ${s}`).join('\n')}`
+    : '';
+  const variantSection = variant !== DEFAULT_RESUME_VARIANT
+    ? `
+
+ATTACHED RESUME: the candidate's "${variant.name}" resume${variant.focus ? `, which emphasizes: ${variant.focus}` : ''}. Lead the pitch with what this version highlights.`
+    : '';
+
+  return `You are writing a cold email on behalf of the candidate below, asking the recipient for a REFERRAL (not a job application).
+
+CANDIDATE PROFILE (extracted from their resume):
+${JSON.stringify(profile, null, 2)}
+
+JOB:
+${JSON.stringify({ company: job.company, role: job.role, snippet: job.snippet, requirements: job.requirements, workType: job.workType, location: job.location }, null, 2)}
+
+RECIPIENT:
+${JSON.stringify({ name: recipient.name, title: recipient.title, email: recipient.email }, null, 2)}
+${usedSection}${variantSection}
+
+Return ONLY a valid JSON object with this EXACT structure:
+{
+  "emailSubject": "Unique personalized subject for this recipient",
+  "emailBody": "Unique personalized body addressing this recipient's perspective"
+}
+
+EMAIL SUBJECT RULES — TWO MODES based on recipient title:
+
+MODE A — HR / Recruiter / Talent Acquisition / Hiring Manager:
+- Use a clean, professional, compelling subject line
+- Should be specific to the role and show genuine interest
+- Examples:
+  * "Interested in [Role] at [Company] — [Candidate Name]"
+  * "[X] years of [Tech Stack] — Excited about [Company]'s mission"
+  * "Strong [Role] candidate — would love to connect"
+  * "[Candidate Name] | [Role] | [Key Skill] specialist"
+- Tone: warm, direct, professional
+- Max 12 words
+
+MODE B — Everyone else (CEO, CTO, Co-Founder, VP, Engineering Manager, Tech Lead, Senior/Staff/Principal Engineer, etc.):
+- The subject must be a shocking, provocative, witty punchline — impossible NOT to open
+- It should feel like breaking news, a confession, a dare, or something personal to the recipient and their company
+- Tailor it to their specific title and company — it must feel written ONLY for them
+- Examples of the tone (do not copy exactly, generate fresh ones every time):
+  * "I broke prod at 3 companies. Want me to break yours next?"
+  * "Your engineers are leaving. I know why."
+  * "I reverse-engineered your stack. We need to talk."
+  * "Honestly, I should not be emailing you. But here we are."
+  * "Your CTO said this was a bad idea. I'm doing it anyway."
+  * "I found a bug in your hiring process. It's missing me."
+  * "This is either the best or worst email you'll get today."
+  * "I ghosted 3 offers to wait for the right team. Are you it?"
+  * "Warning: reading this email may cause an urgent hiring decision."
+- Never use: "Application for", "Job opportunity", "Referral request", "Reaching out about"
+- Max 10 words. Punchy. Ruthless. Unmissable.
+
+IMPORTANT: Check the recipient's title carefully before choosing MODE A or MODE B.
+
+EMAIL BODY RULES:
+- The tone should be: ${CONFIG.email.tone}
+- DO NOT make up achievements - only use what's in the candidate profile above
+- Tailor the angle to the recipient's title:
+  * CEO/Founder: business impact, growth, execution mindset
+  * CTO/VP Engineering: technical depth, architecture, engineering culture
+  * Engineering Manager/Tech Lead: team collaboration, shipping velocity, mentorship
+  * Senior/Staff/Principal Engineer: specific technologies, code quality, technical details
+  * HR/Recruiter/Talent: enthusiasm, culture fit, eagerness to contribute
+
+STRICT FORMAT — the emailBody field MUST follow this EXACT structure with blank lines between each section:
+
+Hi [First Name],
+
+[Opening line — depends on MODE:
+  • MODE A (HR/Recruiter): Skip the apology. Open directly and professionally. E.g. "I came across the [Role] opening at [Company] and genuinely excited about what your team is building."
+  • MODE B (everyone else): Apology for the wild subject — 1 sentence, charming. E.g. "I know — that subject line was a lot. Forgive me, but you opened it, so here we are." / "Yes, dramatic subject. I owe you an apology and a solid pitch — here's both."]
+
+[Pitch paragraph — 2-3 sentences. Who the candidate is, what role they want, why THIS company specifically. Tailored to the recipient's role.]
+
+[Achievements — 2-3 bullet points, each starting with "•", one line each, quantified where possible from the profile]
+
+[CTA — 1 strong sentence asking for referral or a quick chat. E.g. "Would you be open to referring me, or pointing me to the right person on your team?"]
+
+Best regards,
+[Candidate Full Name]
+
+FORMATTING RULES:
+- Use blank lines (\\n\\n) between each section above — never run sections together
+- Each bullet point on its own line starting with "•"
+- No walls of text — every section is separated and scannable
+- Max ${CONFIG.email.maxWords} words total
+
+IMPORTANT:
+- The goal is to have this contact vouch for or refer the candidate to their team
+- All facts about the candidate must come from the candidate profile above`;
+}
+
+// Stage 1: profile + ATS analysis from the resume PDF
+// Profile cache: extractions keyed by resume hash, plus manual overrides (`npm run profile -- set ...`)
+// that are applied on top of whichever extraction is used
+async function loadProfileCache() {
+  try {
+    return JSON.parse(await fs.readFile(PROFILE_CACHE_PATH, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return { profiles: {}, overrides: {} };
+    throw new Error(`Cannot read ${path.basename(PROFILE_CACHE_PATH)}: ${error.message}`);
+  }
+}
+
+async function saveProfileCache(cache) {
+  const profiles = Object.entries(cache.profiles)
+    .sort(([, a], [, b]) => b.extractedAt.localeCompare(a.extractedAt))
+    .slice(0, PROFILE_CACHE_LIMIT);
+  await writeFileAtomic(PROFILE_CACHE_PATH, JSON.stringify({ ...cache, profiles: Object.fromEntries(profiles) }, null, 2));
+}
+
+// Schema of a profile field by dotted path, e.g. skills.frameworks
+function getProfileFieldSchema(fieldPath) {
+  return fieldPath.split('.').reduce((schema, key) => (schema?.type === 'object' ? schema.fields[key] : undefined), SCHEMAS.profile);
+}
+
+function getProfileField(profile, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => value?.[key], profile);
+}
+
+function applyProfileOverrides({ profile, analysis }, overrides = {}) {
+  const corrected = structuredClone(profile);
+  for (const [fieldPath, value] of Object.entries(overrides)) {
+    const keys = fieldPath.split('.');
+    const parent = keys.slice(0, -1).reduce((obj, key) => (obj[key] = obj[key] && typeof obj[key] === 'object' ? obj[key] : {}), corrected);
+    parent[keys[keys.length - 1]] = structuredClone(value);
+  }
+  return { profile: corrected, analysis };
+}
+
+// Stage 1: the profile and ATS analysis are extracted once per resume version (`refresh` extracts again)
+async function runProfileStage(run, resumeFile, { refresh = false } = {}) {
+  const cache = await loadProfileCache();
+  const cached = resumeFile?.hash && !refresh ? cache.profiles[resumeFile.hash] : null;
+  const slot = run.stages.profile;
+
+  if (cached) {
+    const extractedAt = new Date(cached.extractedAt).toLocaleDateString('en-IN', { timeZone: CONFIG.schedule.timezone });
+    console.log(`\n🤖 Stage 1/5: Using the profile + ATS analysis extracted on ${extractedAt} (resume unchanged)`);
+    Object.assign(slot, { status: 'done', cached: true, error: null, validationErrors: null, completedAt: new Date().toISOString() });
+  } else {
+    console.log('\n🤖 Stage 1/5: Extracting profile + ATS analysis...');
+    slot.cached = false;
+    const output = await runStageStep(run, slot, 'Profile extraction', async (lastError) => {
+      const response = await generateJson(withValidationFeedback(buildProfilePrompt(), lastError), { file: resumeFile });
+
+      const profile = validateResponse('profile', response.profile);
+      const analysis = validateResponse('analysis', response.analysis);
+      const errors = [...profile.errors, ...analysis.errors];
+      if (errors.length > 0) throw createValidationError('Profile failed validation', errors);
+
+      logValidationIssues('Profile', [...profile.repairs, ...analysis.repairs], [...profile.dropped, ...analysis.dropped]);
+      return { profile: profile.value, analysis: analysis.value };
+    });
+    if (!output) return null;
+
+    if (resumeFile?.hash) {
+      cache.profiles[resumeFile.hash] = { extractedAt: slot.completedAt, llm: { provider: llm.name, model: llm.model }, ...output };
+      await saveProfileCache(cache);
+      if (output.analysis) await recordResumeAnalysis(resumeFile.hash, output.analysis);
+    }
+  }
+
+  // Scoring and drafting read the corrected profile from the run
+  slot.output = applyProfileOverrides(cached || slot.output, cache.overrides);
+  slot.overrides = Object.keys(cache.overrides);
+  await savePipelineRun(run);
+  return slot.output;
+}
+
+// Stage 2: listings from job boards and jobSources.json (skipped when none are set up and the provider can search)
+async function runJobSourceStage(run) {
+  if (llm.supportsSearch && !(await hasJobSources())) {
+    run.stages.sources = { status: 'skipped', reason: `no job boards configured, ${llm.name} searches the web` };
+    await savePipelineRun(run);
+    return null;
+  }
+
+  console.log('\n🗂️  Stage 2/5: Loading job listings...');
+  run.stages.sources = { status: 'pending' };
+
+  const listings = await runStageStep(run, run.stages.sources, 'Job sources', async () => {
+    const { valid, dropped, repairs } = validateList('listing', await fetchJobListings(), 'listings');
+    logValidationIssues('Listings', repairs, dropped);
+
+    // Boards often list one posting in several places; stale and disallowed postings never reach the LLM
+    const cutoff = Date.now() - JOB_MAX_AGE_DAYS * DAY_MS;
+    const seen = new Set();
+    const counts = { duplicate: 0, stale: 0, workType: 0, denied: 0 };
+    const fresh = [];
+    for (const listing of valid) {
+      const key = listing.url || `${companyKey(listing.company)}|${listing.role.toLowerCase()}`;
+      if (seen.has(key)) counts.duplicate++;
+      else if (listing.postedAt && new Date(listing.postedAt).getTime() < cutoff) counts.stale++;
+      else if (listing.workType && !isWorkTypeAllowed(listing)) counts.workType++;
+      else if (isCompanyDenied(listing.company)) counts.denied++;
+      else fresh.push(listing);
+      seen.add(key);
+    }
+
+    if (counts.duplicate + counts.stale + counts.workType + counts.denied > 0) {
+      console.log(`   🧹 Filtered: ${counts.duplicate} duplicate, ${counts.stale} older than ${JOB_MAX_AGE_DAYS} days, ${counts.workType} work type not allowed, ${counts.denied} deny-listed`);
+    }
+    run.stages.sources.dropped = summarizeDropped(dropped);
+    run.stages.sources.filtered = counts;
+    return fresh;
+  });
+
+  if (listings) console.log(`✅ ${listings.length} job listings loaded`);
+  return listings;
+}
+
+// Stage 3: jobs picked from the listings, or found with Google Search grounding when there are none (no contacts yet)
+async function runJobDiscoveryStage(run) {
+  console.log('\n🔍 Stage 3/5: Discovering jobs...');
+  const { profile, analysis } = run.stages.profile.output;
+  const sentCompanies = await getCompaniesInCooldown();
+
+  const loaded = run.stages.sources?.output;
+  const listings = loaded?.length > 0 ? selectListings(loaded, profile) : null;
+  if (!llm.supportsSearch && !listings) {
+    console.error('   ❌ No job listings loaded — check JOB_BOARDS / jobSources.json and run the sources stage');
+    return null;
+  }
+  if (listings) console.log(`   🗂️  Picking from the ${listings.length} best-matching of ${loaded.length} listings`);
+
+  const jobs = await runStageStep(run, run.stages.jobs, 'Job discovery', async (lastError) => {
+    const prompt = withValidationFeedback(buildJobDiscoveryPrompt(profile, analysis, sentCompanies, listings), lastError);
+    const response = await generateJson(prompt, { search: !listings });
+    if (response.jobs === undefined) {
+      throw createValidationError('Job discovery failed validation', ['jobs: missing required field']);
+    }
+
+    const { valid, dropped, repairs } = validateList('job', response.jobs, 'jobs');
+    if (valid.length === 0 && dropped.length > 0) {
+      throw createValidationError('Every job failed validation', dropped.flatMap(d => d.reasons));
+    }
+
+    // Picked jobs must map back to a real listing, which supplies the URL, date and exact company/role
+    const picked = [];
+    for (const job of valid) {
+      if (!listings) {
+        picked.push(job);
+        continue;
+      }
+
+      const listing = listings.find(l => l.id === job.listingId)
+        || listings.find(l => companyKey(l.company) === companyKey(job.company) && l.role.toLowerCase() === job.role.toLowerCase());
+      if (!listing) {
+        dropped.push({ item: job, reasons: ['not in the provided listings'] });
+        continue;
+      }
+
+      const { description, recipients, id, ...posting } = listing;
+      picked.push({ ...job, ...posting, workType: listing.workType || job.workType, companyDomain: listing.companyDomain || job.companyDomain, listingId: id });
+    }
+
+    // Contacts and drafts are keyed by company, so only the first posting per company is kept
+    // ("Razorpay" and "Razorpay Software Pvt Ltd" count as the same company)
+    const seen = new Set();
+    const unique = [];
+    for (const job of picked) {
+      const keys = getCompanyAliasKeys({ name: job.company, domain: job.companyDomain });
+      if (keys.some(key => seen.has(key))) {
+        dropped.push({ item: job, reasons: [`duplicate posting for ${job.company}`] });
+        continue;
+      }
+      keys.forEach(key => seen.add(key));
+      unique.push(job);
+    }
+
+    logValidationIssues('Jobs', repairs, dropped);
+    run.stages.jobs.dropped = summarizeDropped(dropped);
+    return unique.map(({ recipients, ...job }) => job);
+  });
+
+  if (jobs) console.log(`✅ ${jobs.length} jobs discovered`);
+  return jobs;
+}
+
+// Stage 4: contacts per company; companies that would be filtered out anyway are skipped up front.
+// Without web search, only contacts that came with the job listing are used.
+async function runContactStage(run, options = {}) {
+  const jobs = run.stages.jobs.output || [];
+  const profile = run.stages.profile.output?.profile || {};
+  const unreliablePatterns = await getUnreliablePatterns();
+
+  console.log(`\n👔 Stage 4/5: Finding contacts${options.company ? ` at ${options.company}` : ` for ${jobs.length} companies`}...`);
+
+  for (const job of jobs) {
+    const key = companyKey(job.company);
+    if (!key || !shouldRunStep(run.stages.contacts[key], options, key)) continue;
+
+    let skipReason = null;
+    const { score } = scoreJob(job, profile);
+    const cooldown = await getCompanyCooldown(job);
+    if (isCompanyDenied(job.company)) skipReason = 'On the company deny list';
+    else if (!isWorkTypeAllowed(job)) skipReason = describeWorkTypeBlock(job);
+    else if (score < CONFIG.scoring.minScore) skipReason = `Score ${score} below minimum ${CONFIG.scoring.minScore}`;
+    else if (cooldown) skipReason = `Contacted before: ${describeCooldown(cooldown)}`;
+    else if (await isCompanyQueued(job.company, job.companyDomain)) skipReason = 'Already queued';
+    else if (!llm.supportsSearch && !findListing(run, job.company)?.recipients?.length) skipReason = 'No contacts in job listing';
+
+    if (skipReason) {
+      run.stages.contacts[key] = { status: 'skipped', reason: skipReason };
+      await savePipelineRun(run);
+      console.log(`   ⏭️  Skip: ${skipReason} - ${job.company}`);
+      continue;
+    }
+
+    const slot = run.stages.contacts[key] = { status: 'pending' };
+    const recipients = await runStageStep(run, slot, `Contacts @ ${job.company}`, async (lastError) => {
+      const response = llm.supportsSearch
+        ? await generateJson(withValidationFeedback(buildContactPrompt(job, unreliablePatterns), lastError), { search: true })
+        : { recipients: findListing(run, job.company).recipients };
+      if (response.recipients === undefined) {
+        throw createValidationError('Contacts failed validation', ['recipients: missing required field']);
+      }
+
+      const { valid, dropped, repairs } = validateList('recipient', response.recipients, 'recipients');
+      const found = valid.filter((r, i) => valid.findIndex(other => other.email === r.email) === i);
+
+      logValidationIssues(job.company, repairs, dropped);
+      slot.dropped = summarizeDropped(dropped);
+      await verifyGuessedRecipients([{ recipients: found }]);
+      return found;
+    });
+
+    if (recipients) console.log(`   👔 ${job.company}: ${recipients.length} contact(s)`);
+  }
+}
+
+// Stage 5: one draft per recipient; recipients that can't be emailed are skipped before drafting
+async function runDraftStage(run, options = {}) {
+  const jobs = run.stages.jobs.output || [];
+  const { profile } = run.stages.profile.output;
+
+  console.log(`\n✍️  Stage 5/5: Drafting emails${options.company ? ` for ${options.company}` : ''}...`);
+
+  for (const job of jobs) {
+    const key = companyKey(job.company);
+    const contacts = run.stages.contacts[key];
+    if (!contacts || contacts.status !== 'done') continue;
+    if (options.company && key !== companyKey(options.company)) continue;
+
+    run.stages.drafts[key] = run.stages.drafts[key] || {};
+    const drafts = run.stages.drafts[key];
+
+    // Chosen when drafting, so the pitch and the attachment always match; kept on the job through to its history
+    const variant = selectResumeVariant(job);
+    job.resumeVariant = variant.name;
+
+    for (const recipient of contacts.output) {
+      const emailKey = recipient.email.toLowerCase();
+      const usedSubjects = Object.entries(drafts)
+        .filter(([email, d]) => email !== emailKey && d.status === 'done')
+        .map(([, d]) => d.output.emailSubject);
+
+      if (!shouldRunStep(drafts[emailKey], { onlyIncomplete: options.onlyIncomplete })) continue;
+
+      let skipReason = null;
+      const cooldown = await getContactCooldown(recipient.email, job.role);
+      if (cooldown) skipReason = `contacted before: ${describeCooldown(cooldown)}`;
+      else if (await isEmailInvalid(recipient.email)) skipReason = 'bounced before';
+      else if (isVerificationBlocked(recipient.verification)) skipReason = `failed deliverability check (${recipient.verification.detail})`;
+      else if (recipient.emailGuessed && await isEmailPatternBlocked(recipient)) skipReason = 'guessed pattern bounces at this domain';
+
+      if (skipReason) {
+        drafts[emailKey] = { status: 'skipped', reason: skipReason };
+        await savePipelineRun(run);
+        console.log(`   ⏭️  Skip recipient: ${recipient.email} ${skipReason}`);
+        continue;
+      }
+
+      drafts[emailKey] = { status: 'pending' };
+      const draft = await runStageStep(run, drafts[emailKey], `Draft → ${recipient.email}`, async (lastError) => {
+        const response = await generateJson(withValidationFeedback(buildDraftPrompt(profile, job, recipient, usedSubjects, variant), lastError));
+        const { value, errors } = validateResponse('draft', response);
+        if (errors.length > 0) throw createValidationError('Draft failed validation', errors);
+        return { emailSubject: value.emailSubject, emailBody: value.emailBody };
+      });
+
+      if (draft) console.log(`   ✍️  ${recipient.email} @ ${job.company}: "${draft.emailSubject}"${variant !== DEFAULT_RESUME_VARIANT ? ` 📎 ${variant.name}` : ''}`);
+    }
+  }
+}
+
+// Joins the persisted stage outputs back into the job shape the queue expects
+function assemblePipelineJobs(run) {
+  const jobs = [];
+
+  for (const job of run.stages.jobs.output || []) {
+    const key = companyKey(job.company);
+    const contacts = run.stages.contacts[key];
+    if (contacts?.status === 'skipped') continue;
+
+    const drafts = run.stages.drafts[key] || {};
+    const recipients = (contacts?.status === 'done' ? contacts.output : [])
+      .filter(r => drafts[r.email.toLowerCase()]?.status === 'done')
+      .map(r => ({ ...r, ...drafts[r.email.toLowerCase()].output }));
+
+    jobs.push({ ...job, recipients });
+  }
+
+  return jobs;
+}
+
+function printProfile(profile) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('👤 PROFILE EXTRACTED');
+  console.log('═'.repeat(60));
+  console.log(`  📛 Name: ${profile.name}`);
+  console.log(`  📧 Email: ${profile.email}`);
+  console.log(`  💼 Current Role: ${profile.currentRole}`);
+  console.log(`  ⏱️  Experience: ${profile.yearsOfExperience} years`);
+  console.log(`  💻 Languages: ${profile.skills?.programmingLanguages?.join(', ') || 'N/A'}`);
+  console.log(`  🛠️  Frameworks: ${profile.skills?.frameworks?.join(', ') || 'N/A'}`);
+  console.log(`  🗄️  Databases: ${profile.skills?.databases?.join(', ') || 'N/A'}`);
+  console.log(`  🔧 Tools: ${profile.skills?.tools?.join(', ') || 'N/A'}`);
+  console.log('═'.repeat(60));
+}
+
+function formatScoreBar(score) {
+  const filledBlocks = Math.round((score || 0) / 10);
+  return '█'.repeat(filledBlocks) + '░'.repeat(10 - filledBlocks);
+}
+
+function printAnalysis(analysis) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('📊 RESUME ANALYSIS REPORT');
+  console.log('═'.repeat(60));
+
+  const atsScore = analysis.atsScore || 0;
+  console.log(`\n🎯 ATS Score: ${formatScoreBar(atsScore)} ${atsScore}/100`);
+
+  if (analysis.atsScoreBreakdown) {
+    console.log('\n📈 Breakdown:');
+    console.log(`   🔑 Keywords:   ${analysis.atsScoreBreakdown.keywords}/100`);
+    console.log(`   📝 Formatting: ${analysis.atsScoreBreakdown.formatting}/100`);
+    console.log(`   💼 Experience: ${analysis.atsScoreBreakdown.experience}/100`);
+    console.log(`   🛠️  Skills:     ${analysis.atsScoreBreakdown.skills}/100`);
+  }
+
+  console.log(`\n🎯 BEST TARGET: ${formatTargetArea(analysis.targetAreas?.bestFit)}`);
+  if (analysis.targetAreas?.ranking) {
+    console.log('\n🏆 Target Area Rankings:');
+    analysis.targetAreas.ranking.forEach((target, i) => {
+      const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : '  ';
+      console.log(`   ${medal} ${formatTargetArea(target.type)}: ${target.fitScore}/100`);
+      console.log(`      └─ ${target.reason}`);
+    });
+  }
+
+  console.log('\n💪 STRENGTHS:');
+  (analysis.strengths || []).forEach(s => console.log(`   ✅ ${s}`));
+
+  console.log('\n📈 IMPROVEMENTS NEEDED:');
+  (analysis.improvements || []).forEach(imp => console.log(`   ⚡ ${imp}`));
+
+  console.log('\n🔑 MISSING KEYWORDS:');
+  console.log(`   ${(analysis.keywordsMissing || []).join(', ')}`);
+
+  console.log('\n💼 RECOMMENDED JOB TITLES:');
+  console.log(`   ${(analysis.recommendedJobTitles || []).join(' • ')}`);
+
+  console.log('\n' + '═'.repeat(60));
+}
+
+// Score, sort and print the assembled jobs
+function rankJobs(jobs, profile) {
+  const ranked = jobs.map(job => {
+    const { score, breakdown } = scoreJob(job, profile || {});
+    return { ...job, score, scoreBreakdown: breakdown };
+  });
+
+  ranked.sort((a, b) => b.score - a.score);
+
+  console.log(`\n📋 JOB RANKINGS:`);
+  console.log('─'.repeat(60));
+  ranked.forEach((job, i) => {
+    const workIcon = job.workType === 'remote' ? '🌍' : job.workType === 'hybrid' ? '🏠' : '🏢';
+    const recipients = job.recipients || [];
+    const contactIcon = recipients.length > 0 ? '👔' : '❌';
+    const rank = i < 3 ? ['🥇', '🥈', '🥉'][i] : `${i + 1}.`;
+    const belowMin = isBelowMinScore(job) ? ' ⛔ below min score' : '';
+    console.log(`   ${rank} ${workIcon} ${contactIcon} [${job.score}pts] ${job.role} @ ${job.company} (${recipients.length} contacts)${belowMin}`);
+    console.log(`      📊 ${formatScoreBreakdown(job.scoreBreakdown)}`);
+    if (job.url) console.log(`      🔗 ${job.url}${job.postedAt ? ` (posted ${job.postedAt.slice(0, 10)})` : ''}`);
+    recipients.forEach(r => {
+      const tag = r.emailGuessed ? '🔮 inferred' : '✅ verified';
+      console.log(`      -> ${r.name || 'Unknown'} (${r.title || 'Contact'}) <${r.email}> [${tag}]${formatVerification(r.verification)}`);
+    });
+  });
+  console.log('─'.repeat(60));
+  console.log(`   Legend: 🌍 Remote | 🏠 Hybrid | 🏢 Onsite | 👔 Contacts Found | ❌ No Contacts`);
+  if (CONFIG.scoring.minScore > 0) {
+    console.log(`   ⛔ Below ${CONFIG.scoring.minScore}pts (scoring.minScore) — never queued`);
+  }
+  if (EMAIL_VERIFY) {
+    console.log(`   Inferred: 📬 Deliverable | ❔ MX only | ⚠️ Catch-all (sent last) | 🚫 Undeliverable (skipped)`);
+  }
+
+  const jobsWithContacts = ranked.filter(j => j.recipients?.length > 0).length;
+  const totalContacts = ranked.reduce((sum, j) => sum + (j.recipients?.length || 0), 0);
+  const jobsWithoutContacts = ranked.length - jobsWithContacts;
+  console.log(`\n✨ Found ${ranked.length} jobs, ${totalContacts} total contacts (${jobsWithoutContacts} jobs with no contacts will be skipped)`);
+
+  return ranked;
+}
+
+async function analyzeAndFindJobs(resumeFile) {
+  try {
+    const run = createPipelineRun(resumeFile);
+    await savePipelineRun(run);
+    console.log(`🤖 Starting ${llm.name} pipeline with ${llm.model} (run ${run.runId})...`);
+
+    const profileOutput = await runProfileStage(run, resumeFile);
+    if (!profileOutput) {
+      return { profile: null, analysis: null, jobs: [] };
+    }
+
+    const { profile, analysis } = profileOutput;
+    printProfile(profile);
+    if (analysis) printAnalysis(analysis);
+
+    // A failed job search still returns the profile so the cycle can work the queue and follow-ups
+    await runJobSourceStage(run);
+    const discovered = await runJobDiscoveryStage(run);
+    if (!discovered) {
+      return { profile, analysis, jobs: [] };
+    }
+
+    await runContactStage(run);
+    await runDraftStage(run);
+
+    const jobs = rankJobs(assemblePipelineJobs(run), profile);
+
+    return { profile, analysis, jobs };
+
+  } catch (error) {
+    console.error('❌ Failed to analyze resume and find jobs:', error.message);
+    return { profile: null, analysis: null, jobs: [] };
+  }
+}
+
+// Draft a follow-up from the original email; the last step is a polite final note
+async function generateFollowUpEmail(job, recipient, step, senderName) {
+  const isFinal = step === FOLLOW_UP_STEPS.length - 1;
+  const originalBody = (recipient.emailBody || '').replace(/\\n/g, '\n');
+  const daysSince = FOLLOW_UP_STEPS[step];
+
+  const prompt = `You are writing a short follow-up to a cold referral email that got no reply.
+
+ORIGINAL EMAIL (sent ${daysSince} days ago to ${recipient.name || 'the recipient'}, ${recipient.title || 'Contact'} at ${job.company}):
+Subject: ${recipient.emailSubject || ''}
+
+${originalBody}
+
+JOB: ${job.role} @ ${job.company} (${job.workType || 'unknown'}, ${job.location || 'unknown location'})
+
+FOLLOW-UP TYPE: ${isFinal ? 'FINAL NOTE — gracious last message, make clear this is the last email, leave the door open' : 'NUDGE — light, friendly bump that adds one new angle from the original email'}
+
+RULES:
+- Reply in the same thread; do NOT repeat the whole original pitch
+- DO NOT introduce any achievement, metric or fact that is not in the original email
+- Max ${isFinal ? 60 : 80} words
+- Start with "Hi [First Name]," and end with:
+Best regards,
+${senderName}
+- Use blank lines between paragraphs
+
+Return ONLY the email body as plain text, no subject, no markdown.`;
+
+  const body = (await generateText(prompt)).trim();
+
+  if (!body) throw new Error('Empty follow-up generated');
+
+  const originalSubject = recipient.emailSubject || `${job.role} at ${job.company}`;
+  return {
+    subject: /^re:/i.test(originalSubject) ? originalSubject : `Re: ${originalSubject}`,
+    body,
+  };
+}
+
+// Deliverability checks for inferred (emailGuessed) addresses: MX lookup, catch-all test, RCPT probe
+function createDnsResolver() {
+  const resolver = new dns.promises.Resolver({ timeout: 5000, tries: 2 });
+  const servers = (process.env.EMAIL_VERIFY_DNS_SERVERS || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (servers.length > 0) resolver.setServers(servers);
+  return resolver;
+}
+
+const dnsResolver = createDnsResolver();
+const domainCheckCache = new Map(); // domain -> { mx, catchAll } for the life of the process
+
+// Falls back to the domain's A record (implicit MX, RFC 5321) when no MX exists
+async function lookupMx(domain) {
+  try {
+    const records = await dnsResolver.resolveMx(domain);
+    records.sort((a, b) => a.priority - b.priority);
+    if (records[0]?.exchange) return records[0].exchange;
+  } catch (error) {
+    if (!['ENOTFOUND', 'ENODATA', 'ESERVFAIL'].includes(error.code)) throw error;
+  }
+
+  try {
+    const addresses = await dnsResolver.resolve4(domain);
+    return addresses.length > 0 ? domain : null;
+  } catch {
+    return null;
+  }
+}
+
+// Minimal SMTP conversation: returns the RCPT TO reply code for each address
+function smtpRcptProbe(host, addresses) {
+  const port = parseInt(process.env.EMAIL_VERIFY_SMTP_PORT || '25');
+  const helo = process.env.EMAIL_VERIFY_HELO || (SENDER_EMAIL || '').split('@')[1] || os.hostname();
+  const commands = [
+    `EHLO ${helo}`,
+    `MAIL FROM:<${SENDER_EMAIL || ''}>`,
+    ...addresses.map(a => `RCPT TO:<${a}>`),
+  ];
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    const codes = [];
+    let buffer = '';
+    let step = -1; // -1 = waiting for greeting
+
+    socket.setTimeout(10000, () => socket.destroy(new Error(`SMTP probe timed out (${host}:${port})`)));
+    socket.on('error', reject);
+    // A server that hangs up mid-conversation must not leave the probe pending (no-op once resolved)
+    socket.on('close', () => reject(new Error(`SMTP probe connection closed (${host}:${port})`)));
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      const lines = buffer.split('\r\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (/^\d{3}-/.test(line)) continue; // multi-line reply continues
+        const code = parseInt(line.slice(0, 3));
+
+        // 421 (busy, rate limited) or any other 4xx/5xx greeting means the server refuses to talk to us
+        if (step === -1 && code >= 400) return socket.destroy(new Error(`Probe rejected: ${line}`));
+        if (step === -1 && code !== 220) return socket.destroy(new Error(`Unexpected greeting: ${line}`));
+        if (step >= 2) codes.push(code);
+        if ((step === 0 || step === 1) && code >= 400) return socket.destroy(new Error(`Probe rejected: ${line}`));
+
+        step++;
+        if (step < commands.length) {
+          socket.write(`${commands[step]}\r\n`);
+        } else {
+          socket.end('QUIT\r\n');
+          return resolve(codes);
+        }
+      }
+    });
+  });
+}
+
+async function verifyEmailAddress(email) {
+  const domain = email.split('@')[1]?.toLowerCase();
+  const verification = { status: 'unknown', mx: null, catchAll: null, smtpCode: null, checkedAt: new Date().toISOString() };
+
+  try {
+    let domainInfo = domainCheckCache.get(domain);
+    if (!domainInfo) {
+      domainInfo = { mx: await lookupMx(domain), catchAll: null };
+      domainCheckCache.set(domain, domainInfo);
+    }
+
+    verification.mx = domainInfo.mx;
+    if (!domainInfo.mx) {
+      verification.status = 'undeliverable';
+      verification.detail = 'No MX records for domain';
+      return verification;
+    }
+
+    if (!EMAIL_VERIFY_SMTP_PROBE) {
+      verification.detail = 'MX found, mailbox not probed';
+      return verification;
+    }
+
+    const probeHost = process.env.EMAIL_VERIFY_SMTP_HOST || domainInfo.mx;
+    const randomAddress = `${crypto.randomBytes(6).toString('hex')}@${domain}`;
+    const [rcptCode, randomCode] = await smtpRcptProbe(probeHost, [email, randomAddress]);
+
+    verification.smtpCode = rcptCode;
+    domainInfo.catchAll = randomCode >= 200 && randomCode < 300;
+    verification.catchAll = domainInfo.catchAll;
+
+    if (rcptCode >= 500) {
+      verification.status = 'undeliverable';
+      verification.detail = `Mailbox rejected (${rcptCode})`;
+    } else if (rcptCode >= 400) {
+      verification.detail = `Temporary RCPT failure (${rcptCode})`;
+    } else if (domainInfo.catchAll) {
+      verification.status = 'risky';
+      verification.detail = 'Catch-all domain, mailbox cannot be confirmed';
+    } else {
+      verification.status = 'deliverable';
+      verification.detail = 'Mailbox accepted';
+    }
+  } catch (error) {
+    verification.detail = `Check failed: ${error.message}`;
+  }
+
+  return verification;
+}
+
+// Risky (catch-all) addresses are downgraded behind the rest of the company's contacts
+const VERIFICATION_RANK = { deliverable: 0, unknown: 1, risky: 2, undeliverable: 3 };
+
+async function verifyGuessedRecipients(jobs) {
+  if (!EMAIL_VERIFY) return;
+
+  const guessed = jobs.flatMap(j => (j.recipients || []).filter(r => r.emailGuessed && r.email && !r.verification));
+  if (guessed.length === 0) return;
+
+  console.log(`\n🔎 Verifying ${guessed.length} inferred address(es)${EMAIL_VERIFY_SMTP_PROBE ? ' (MX + SMTP probe)' : ' (MX only)'}...`);
+  for (const recipient of guessed) {
+    recipient.verification = await verifyEmailAddress(recipient.email);
+  }
+
+  for (const job of jobs) {
+    (job.recipients || []).sort((a, b) =>
+      (VERIFICATION_RANK[a.verification?.status] ?? 0) - (VERIFICATION_RANK[b.verification?.status] ?? 0)
+    );
+  }
+}
+
+function isVerificationBlocked(verification) {
+  return verification?.status === 'undeliverable' || (verification?.status === 'risky' && EMAIL_VERIFY_SKIP_RISKY);
+}
+
+function formatVerification(verification) {
+  if (!verification) return '';
+  const icons = { deliverable: '📬 deliverable', unknown: '❔ unverified', risky: '⚠️ catch-all', undeliverable: '🚫 undeliverable' };
+  return ` [${icons[verification.status] || verification.status}]`;
+}
+
+// Every message exchanged with a recipient in send order: the first email, follow-ups, then replies
+// from them (auto-replies are left out). Returns nodemailer's inReplyTo/references, or {} for a new thread.
+function getThreadHeaders(recipient) {
+  const messages = [
+    { messageId: recipient?.messageId, at: recipient?.sentAt },
+    ...(recipient?.followUps || []).map(f => ({ messageId: f.messageId, at: f.sentAt })),
+    ...(recipient?.replies || [])
+      .filter(r => !['auto_reply', 'out_of_office'].includes(r.classification))
+      .map(r => ({ messageId: r.messageId, at: r.receivedAt }))
+  ].filter(m => m.messageId);
+
+  if (messages.length === 0) return {};
+
+  // Keep the first message first; records sent before sentAt existed sort as oldest
+  const [first, ...later] = messages;
+  later.sort((a, b) => new Date(a.at || 0) - new Date(b.at || 0));
+  // Message-IDs are case-sensitive, so only the angle brackets are normalized here
+  const ids = [...new Set([first, ...later].map(m => `<${m.messageId.trim().replace(/^<|>$/g, '')}>`))];
+  return { inReplyTo: ids[ids.length - 1], references: ids };
+}
+
+// What the SMTP server accepted, kept on the recipient record alongside its status
+function getDeliveryDetails(info) {
+  return {
+    messageId: info.messageId,
+    smtpResponse: info.response,
+    envelope: info.envelope
+  };
+}
+
+// The latest sent record for an address, so a later email to them continues that thread
+async function findLastSentRecipient(email) {
+  const db = await getStore();
+  const address = email.toLowerCase();
+  const row = db.prepare('SELECT job_id FROM job_recipients WHERE email = ? ORDER BY job_id DESC LIMIT 1').get(address);
+  return row ? loadSentRecipient(db, row.job_id, address)?.recipient || null : null;
+}
+
+// options.thread: the sent recipient record to reply under (sets In-Reply-To / References). Without it, an email
+// to a single address that was emailed before threads under its latest sent record; pass thread: null to start fresh.
+async function sendEmail(recipients, subject, body, senderName, options = {}) {
+  const toList = Array.isArray(recipients) ? recipients.filter(Boolean) : [recipients];
+
+  if (toList.length === 0) {
+    throw new Error('No valid recipients');
+  }
+  const thread = options.thread !== undefined ? options.thread : toList.length === 1 ? await findLastSentRecipient(toList[0]) : null;
+
+  // Fail over to the next account when one is rate-limited or rejected; recipient errors are thrown as is
+  const accounts = options.accounts || SMTP_ACCOUNTS.filter(a => a.pausedUntil <= Date.now());
+  if (accounts.length === 0) {
+    throw new Error('No sending account available');
+  }
+
+  try {
+    const mailOptions = {
+      to: toList.join(', '),
+      subject,
+      text: body,
+      html: `<div style="font-family: Arial, sans-serif; font-size: 15px; line-height: 1.6; color: #222; max-width: 600px;">${
+        body
+          .split('\n\n')
+          .map(para => para.trim())
+          .filter(Boolean)
+          .map(para => `<p style="margin: 0 0 14px 0;">${para.replace(/\n/g, '<br/>')}</p>`)
+          .join('')
+      }</div>`,
+      // The attachment keeps the name of the file it came from, so a variant goes out as e.g. frontend.pdf
+      attachments: options.attachResume === false ? [] : [
+        {
+          filename: path.basename(options.resumePath || RESUME_PATH),
+          path: options.resumePath || RESUME_PATH,
+        },
+      ],
+      ...getThreadHeaders(thread),
+    };
+
+    for (let i = 0; ; i++) {
+      const account = accounts[i];
+      try {
+        const info = await account.transport.sendMail({
+          ...mailOptions,
+          from: `"${senderName}" <${account.email}>`,
+          list: { unsubscribe: `mailto:${UNSUBSCRIBE_EMAIL || account.email}?subject=unsubscribe` },
+        });
+        console.log(`   ✉️  Email sent to: ${toList.join(', ')}${SMTP_ACCOUNTS.length > 1 ? ` (from ${account.email})` : ''}`);
+        return { ...info, account };
+      } catch (error) {
+        const reason = getAccountErrorReason(error);
+        if (!reason) throw error;
+
+        account.pausedUntil = Date.now() + ACCOUNT_PAUSE_MS;
+        account.pauseReason = reason;
+        const next = accounts[i + 1];
+        console.warn(`   ⚠️  ${account.email}: ${reason} — ${next ? `failing over to ${next.email}` : 'no other account to fail over to'}`);
+        if (!next) throw error;
+      }
+    }
+
+  } catch (error) {
+    console.error(`   ❌ Failed to send email to ${toList.join(', ')}:`, error.message);
+    throw error;
+  }
+}
+
+// Errors that are about the sending account rather than the recipient: login failures,
+// throttling (421/454, 4.7.x), sender policy blocks (5.7.x) and provider sending limits (Gmail 5.4.5)
+function getAccountErrorReason(error) {
+  const text = `${error.response || ''} ${error.message || ''}`;
+  if (error.code === 'EAUTH') return 'authentication failed';
+  if ([421, 454].includes(error.responseCode) || /\b4\.7\.\d+\b/.test(text)) return `rate-limited (${error.responseCode || error.code})`;
+  if (/\b5\.4\.5\b|sending (limit|quota)|daily user sending/i.test(text)) return `sending limit exceeded (${error.responseCode})`;
+  if (/\b5\.7\.\d+\b/.test(text)) return `rejected by policy (${error.responseCode})`;
+  return null;
+}
+
+// Network-level nodemailer/socket error codes that are worth retrying
+const TRANSIENT_SEND_ERRORS = ['ETIMEDOUT', 'ECONNECTION', 'ECONNRESET', 'ECONNREFUSED', 'ESOCKET', 'EDNS', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+
+// Returns { transient, reason, authFailure }. 4xx replies and connection problems are transient;
+// 5xx replies (unknown mailbox, policy rejection) and anything unrecognized are permanent.
+function classifySendError(error) {
+  // Authentication failures are a config problem, not the recipient's fault: callers stop the run
+  // without spending one of the recipient's attempts, and it is retried once the login works again
+  if (error.code === 'EAUTH') return { transient: true, authFailure: true, reason: 'authentication failed' };
+
+  const code = error.responseCode;
+  const enhanced = (error.response || error.message || '').match(/\b([245])\.\d{1,3}\.\d{1,3}\b/)?.[0];
+
+  if (code >= 400 && code < 500) return { transient: true, reason: `${code}${enhanced ? ` ${enhanced}` : ''} temporary failure` };
+  if (code >= 500) return { transient: false, reason: `${code}${enhanced ? ` ${enhanced}` : ''} rejected` };
+  if (TRANSIENT_SEND_ERRORS.includes(error.code)) return { transient: true, reason: `connection problem (${error.code})` };
+  return { transient: false, reason: error.message };
+}
+
+function getRetryDelayMs(attempts) {
+  return SEND_RETRY_BASE_MINUTES * 60 * 1000 * 2 ** (attempts - 1);
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getLastRunTime() {
+  return new Date().toLocaleString('en-IN', { timeZone: CONFIG.schedule.timezone });
+}
+
+async function processJobQueue(senderName) {
+  const queueSize = await getQueueSize();
+
+  if (queueSize === 0) {
+    console.log('📭 Queue is empty. No pending jobs to process.');
+    return 0;
+  }
+
+  console.log(`\n📬 Found ${queueSize} companies in queue. Processing...`);
+
+  const queue = await loadQueue();
+  const jobsToProcess = queue;
+
+  const totalEmails = jobsToProcess.reduce(
+    (sum, j) => sum + (j.recipients || []).filter(r => getReviewStatus(r) === 'approved').length,
+    0
+  );
+  const totalDelayMs = Math.max(0, totalEmails - 1) * EMAIL_INTERVAL_MS;
+  const estimatedMinutes = Math.round(totalDelayMs / 60000);
+
+  console.log(`🔥 Processing ALL ${jobsToProcess.length} companies (${totalEmails} emails total)...`);
+  console.log(`⏱️  Estimated time: ~${estimatedMinutes} minutes`);
+  for (const account of SMTP_ACCOUNTS) {
+    console.log(`🚦 Sending quota: ${describeAccount(account)}${describeQuota(await getSendQuota(account))}`);
+  }
+  console.log('─'.repeat(60));
+
+  let sentCount = 0;
+  let failedCount = 0;
+  let heldCount = 0; // jobs left in the queue awaiting review
+  let deferredCount = 0; // jobs left in the queue for a later window, quota or retry
+  let quotaBlock = null;
+
+  for (let i = 0; i < jobsToProcess.length; i++) {
+    const job = jobsToProcess[i];
+    const workIcon = job.workType === 'remote' ? '🌍' : job.workType === 'hybrid' ? '🏠' : '🏢';
+
+    if ((job.recipients || []).length === 0) {
+      console.log(`\n⚠️ [${i + 1}/${jobsToProcess.length}] Skipping ${job.company} - No contacts in queue entry`);
+      await removeJobFromQueue(job.queueId);
+      continue;
+    }
+
+    const pendingReview = job.recipients.filter(r => getReviewStatus(r) === 'pending_review');
+    if (pendingReview.length > 0) {
+      console.log(`\n📝 [${i + 1}/${jobsToProcess.length}] Holding ${job.company} - ${pendingReview.length} draft(s) awaiting review`);
+      heldCount++;
+      continue;
+    }
+
+    const recipients = job.recipients.filter(r => getReviewStatus(r) === 'approved');
+    if (recipients.length === 0) {
+      console.log(`\n🚫 [${i + 1}/${jobsToProcess.length}] Dropping ${job.company} - All drafts rejected`);
+      await markJobRejected(job);
+      continue;
+    }
+
+    const timeZone = getRecipientTimezone(job);
+    if (!isInSendWindow(timeZone)) {
+      const { start, end } = CONFIG.sending.window;
+      console.log(`\n🕘 [${i + 1}/${jobsToProcess.length}] Deferring ${job.company} - outside send window (${start}–${end} ${timeZone}, now ${getLocalTime(timeZone)})`);
+      deferredCount++;
+      continue;
+    }
+
+    console.log(`\n🏢 [${i + 1}/${jobsToProcess.length}] ${workIcon} ${job.role} @ ${job.company} — ${recipients.length} contact(s)`);
+    console.log(`   📊 Score: ${job.score}${job.scoreBreakdown ? ` — ${formatScoreBreakdown(job.scoreBreakdown)}` : ''}`);
+
+    const sentRecipients = [];
+    let waiting = 0; // recipients to send in a later cycle
+    const resumeVariant = await resolveResumeVariant(job.resumeVariant);
+
+    for (let ri = 0; ri < recipients.length; ri++) {
+      const recipient = recipients[ri];
+      const sendStatus = getSendStatus(recipient);
+
+      // Resuming a company that was interrupted: never send to the same recipient twice
+      if (sendStatus === 'sent') {
+        console.log(`   ↩️  [${ri + 1}/${recipients.length}] ${recipient.email} - Already sent in an earlier run`);
+        sentRecipients.push(recipient);
+        continue;
+      }
+      if (sendStatus === 'failed') {
+        console.log(`   ↩️  [${ri + 1}/${recipients.length}] ${recipient.email} - Failed in an earlier run: ${recipient.sendError}`);
+        continue;
+      }
+      if (sendStatus === 'retry' && new Date(recipient.nextAttemptAt) > new Date()) {
+        const nextAt = new Date(recipient.nextAttemptAt).toLocaleString('en-IN', { timeZone: CONFIG.schedule.timezone });
+        console.log(`   🔁 [${ri + 1}/${recipients.length}] ${recipient.email} - Retry ${recipient.sendAttempts + 1}/${SEND_MAX_ATTEMPTS} due ${nextAt}`);
+        waiting++;
+        continue;
+      }
+      // Killed after the send started but before it was recorded; it may have gone out. Queues are only sent
+      // under the cycle lock, so no other run can be in the middle of this send.
+      if (sendStatus === 'sending') {
+        console.log(`   ⚠️  [${ri + 1}/${recipients.length}] ${recipient.email} - Interrupted mid-send, not retried to avoid a duplicate`);
+        await updateQueuedRecipient(job, recipient, { sendStatus: 'failed', sendError: 'Interrupted mid-send' });
+        failedCount++;
+        continue;
+      }
+
+      if (!recipient.email) {
+        console.log(`   ⚠️  [${ri + 1}/${recipients.length}] Skipping ${recipient.name || 'unknown'} - No email`);
+        continue;
+      }
+
+      if (await isEmailInvalid(recipient.email)) {
+        console.log(`   📛 [${ri + 1}/${recipients.length}] Skipping ${recipient.email} - Address bounced before`);
+        continue;
+      }
+
+      // The list may have grown since this company was queued
+      const suppression = await findSuppression({ email: recipient.email, company: job.company, domain: job.companyDomain });
+      if (suppression) {
+        console.log(`   🛑 [${ri + 1}/${recipients.length}] Skipping ${recipient.email} - ${describeSuppression(suppression)}`);
+        continue;
+      }
+
+      // Queue entries drafted before verification existed are checked right before sending
+      if (EMAIL_VERIFY && recipient.emailGuessed && !recipient.verification) {
+        recipient.verification = await verifyEmailAddress(recipient.email);
+      }
+      if (isVerificationBlocked(recipient.verification)) {
+        console.log(`   🚫 [${ri + 1}/${recipients.length}] Skipping ${recipient.email} - ${recipient.verification.detail}`);
+        continue;
+      }
+
+      // Idempotency check right before sending, e.g. the same contact queued under two companies
+      const contactCooldown = await getContactCooldown(recipient.email, job.role);
+      if (contactCooldown) {
+        console.log(`   ⏭️  [${ri + 1}/${recipients.length}] Skipping ${recipient.email} - ${describeCooldown(contactCooldown)}`);
+        continue;
+      }
+
+      // Another candidate emailed this person recently; the company stays queued until the hold ends
+      const sharedContact = findSharedContact(recipient.email);
+      if (sharedContact) {
+        const until = new Date(sharedContact.until).toLocaleDateString('en-IN', { timeZone: CONFIG.schedule.timezone });
+        console.log(`   👥 [${ri + 1}/${recipients.length}] Holding ${recipient.email} - emailed by ${sharedContact.candidate} (${sharedContact.company}), free after ${until}`);
+        waiting++;
+        continue;
+      }
+
+      const { accounts, block } = await getAvailableAccounts();
+      if (accounts.length === 0) {
+        quotaBlock = block;
+        waiting += recipients.length - ri;
+        break;
+      }
+
+      const emailIcon = recipient.emailGuessed ? '🔮' : '✅';
+      console.log(`\n   📨 [${ri + 1}/${recipients.length}] ${emailIcon} ${recipient.name || 'Unknown'} (${recipient.title || 'Contact'}) <${recipient.email}>${recipient.emailGuessed ? ' [inferred]' : ' [verified]'}`);
+
+      const previous = { sendStatus, sendAttempts: recipient.sendAttempts || 0 };
+      try {
+        const subject = recipient.emailSubject || `Application for ${job.role} at ${job.company}`;
+        const body = (recipient.emailBody || '').replace(/\\n/g, '\n');
+
+        if (!body) throw new Error('No email body generated');
+
+        await updateQueuedRecipient(job, recipient, { sendStatus: 'sending', sendAttempts: previous.sendAttempts + 1 });
+        const info = await sendEmail([recipient.email], subject, body, senderName, { accounts, resumePath: getResumeVariantPath(resumeVariant) });
+        await updateQueuedRecipient(job, recipient, {
+          sendStatus: 'sent',
+          ...getDeliveryDetails(info),
+          sentAt: new Date().toISOString(),
+          account: info.account.id,
+          sentFrom: info.account.email,
+          resumeVariant: resumeVariant.name
+        });
+        recordSharedContact(recipient.email, job.company);
+        sentRecipients.push(recipient);
+        sentCount++;
+        console.log(`      ✅ Sent!`);
+
+      } catch (error) {
+        const { transient, reason, authFailure } = classifySendError(error);
+        const attempts = recipient.sendAttempts || 1;
+
+        if (authFailure) {
+          // Not the recipient's fault: put it back as it was and stop sending until the login is fixed
+          await updateQueuedRecipient(job, recipient, previous);
+          console.error(`      🔑 SMTP ${reason} - ${recipient.email} stays queued without using a retry`);
+          quotaBlock = 'SMTP authentication failed (check SMTP_USER / SMTP_PASS or the OAuth2 settings)';
+          waiting += recipients.length - ri;
+          break;
+        } else if (transient && attempts < SEND_MAX_ATTEMPTS) {
+          const nextAttemptAt = new Date(Date.now() + getRetryDelayMs(attempts));
+          await updateQueuedRecipient(job, recipient, { sendStatus: 'retry', sendError: reason, nextAttemptAt: nextAttemptAt.toISOString() });
+          console.error(`      🔁 Transient failure (${reason}) - retry ${attempts + 1}/${SEND_MAX_ATTEMPTS} after ${nextAttemptAt.toLocaleString('en-IN', { timeZone: CONFIG.schedule.timezone })}`);
+          waiting++;
+        } else {
+          const sendError = transient ? `${reason} (gave up after ${attempts} attempts)` : reason;
+          await updateQueuedRecipient(job, recipient, { sendStatus: 'failed', sendError });
+          console.error(`      ❌ Failed permanently: ${sendError}`);
+          failedCount++;
+        }
+      }
+
+      // Delay between recipients within the same company
+      if (ri < recipients.length - 1) {
+        console.log(`      ⏳ Waiting before next contact at ${job.company}...`);
+        await delay(EMAIL_INTERVAL_MS);
+      }
+    }
+
+    // Companies with recipients waiting to retry stay queued; they are closed out once every recipient is done.
+    // Recipients already emailed are recorded now, so their follow-ups and cooldowns don't wait for the rest.
+    if (waiting > 0) {
+      if (sentRecipients.length > 0) await markJobSent(job, sentRecipients, { keepQueued: true });
+      console.log(`   ⏳ ${job.company} stays queued: ${waiting} recipient(s) still to send`);
+      deferredCount++;
+    } else if (sentRecipients.length > 0) {
+      // Mark company done regardless of partial failures (this also removes it from the queue)
+      await markJobSent(job, sentRecipients);
+    } else {
+      await markJobFailed(job, 'All recipient sends failed permanently');
+    }
+
+    if (quotaBlock) {
+      console.log(`\n🚦 ${quotaBlock} - the rest of the queue waits for the next run`);
+      deferredCount += jobsToProcess.length - i - 1;
+      break;
+    }
+
+    // Delay between companies
+    if (i < jobsToProcess.length - 1) {
+      console.log(`\n   ⏳ Moving to next company...`);
+      await delay(EMAIL_INTERVAL_MS);
+    }
+
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`📊 Queue Stats: ✅ Sent: ${sentCount} | ❌ Failed: ${failedCount}${heldCount > 0 ? ` | 📝 Awaiting review: ${heldCount} companies` : ''}${deferredCount > 0 ? ` | ⏳ Deferred: ${deferredCount} companies` : ''}`);
+
+  return sentCount;
+}
+
+// Reply classification (header and keyword heuristics, no LLM call)
+const OUT_OF_OFFICE_PATTERNS = [
+  /out of (the )?office/i, /\booo\b/i, /on (annual |parental |maternity |paternity )?leave/i,
+  /on vacation/i, /away (from|until)/i, /limited access to (my )?email/i, /back in the office/i
+];
+const NEGATIVE_PATTERNS = [
+  /not interested/i, /no (current )?openings?/i, /not (currently )?hiring/i, /unfortunately/i,
+  /not a (good )?fit/i, /(position|role) (has been|is) filled/i, /moved forward with other/i, /won'?t be able to/i
+];
+// Checked against the subject and the new text of the reply. An opt-out is permanent, so only unambiguous
+// requests count: "do not contact HR" or "remove me as the contact" in a helpful reply must stay positive.
+// A bare "unsubscribe" only counts in the subject (what List-Unsubscribe mail clients send) or on a line of its own.
+const OPT_OUT_PATTERNS = [
+  /^\s*unsubscribe[.!]?\s*$/im,
+  /\bunsubscribe me\b/i,
+  /\bstop (emailing|contacting|messaging) me\b/i,
+  /\b(don'?t|do not|never) (email|contact|message) me (again|anymore|any more)\b/i,
+  /\b(remove|take) me off (of )?(your|this|the) (mailing |email |contact )?list\b/i,
+  /\bremove me from (your|this|the) (mailing |email |contact )?list\b/i,
+  /\bopt me out\b/i
+];
+const OPT_OUT_SUBJECT = /\bunsubscribe\b/i;
+
+function classifyReply(parsed, text) {
+  const subject = parsed.subject || '';
+  const autoSubmitted = (parsed.headers.get('auto-submitted') || '').toString().toLowerCase();
+  const precedence = (parsed.headers.get('precedence') || '').toString().toLowerCase();
+  const isAuto = (autoSubmitted && autoSubmitted !== 'no')
+    || parsed.headers.has('x-autoreply')
+    || parsed.headers.has('x-autorespond')
+    || ['auto_reply', 'bulk', 'junk'].includes(precedence)
+    || /^(auto(matic)?[ -]?reply|autoreply)/i.test(subject);
+
+  if (OUT_OF_OFFICE_PATTERNS.some(p => p.test(subject) || p.test(text))) return 'out_of_office';
+  if (isAuto) return 'auto_reply';
+  if (OPT_OUT_SUBJECT.test(subject) || OPT_OUT_PATTERNS.some(p => p.test(subject) || p.test(text))) return 'opt_out';
+  if (NEGATIVE_PATTERNS.some(p => p.test(text))) return 'negative';
+  return 'positive';
+}
+
+// Keep only the new part of a reply: drop quoted lines and everything after "On ... wrote:".
+// Classification reads this too, so words in our own quoted email never decide the outcome.
+function extractReplyText(text) {
+  const lines = [];
+  for (const line of (text || '').split(/\r?\n/)) {
+    if (/^On .+wrote:\s*$/.test(line.trim()) || /^-{2,}\s*Original Message/i.test(line.trim())) break;
+    if (line === '-- ' || line === '--') break; // signature, often with a legal footer
+    if (line.trim().startsWith('>')) continue;
+    lines.push(line);
+  }
+  return lines.join('\n').trim();
+}
+
+function extractReplySnippet(text) {
+  const snippet = extractReplyText(text).replace(/\s+/g, ' ').trim();
+  return snippet.length > 200 ? `${snippet.slice(0, 197)}...` : snippet;
+}
+
+function parseReply(parsed) {
+  const text = parsed.text || '';
+  const references = [
+    parsed.inReplyTo,
+    ...(Array.isArray(parsed.references) ? parsed.references : [parsed.references])
+  ].filter(Boolean);
+
+  return {
+    messageId: parsed.messageId || null,
+    from: (parsed.from?.value?.[0]?.address || '').toLowerCase(),
+    subject: parsed.subject || '',
+    references,
+    snippet: extractReplySnippet(text),
+    classification: classifyReply(parsed, extractReplyText(text)),
+    receivedAt: (parsed.date || new Date()).toISOString()
+  };
+}
+
+// Delivery status notifications (RFC 3464) plus plain-text MAILER-DAEMON bounces
+function parseBounce(parsed) {
+  const from = (parsed.from?.value?.[0]?.address || '').toLowerCase();
+  const contentType = parsed.headers.get('content-type');
+  const isReport = contentType?.value === 'multipart/report'
+    && (contentType.params?.['report-type'] || '').toLowerCase() === 'delivery-status';
+  const isDaemon = /^(mailer-daemon|postmaster)@/.test(from);
+
+  if (!isReport && !isDaemon) return null;
+
+  const attachmentText = (parsed.attachments || []).map(a => a.content.toString()).join('\n');
+  const text = `${parsed.text || ''}\n${attachmentText}`;
+
+  const action = text.match(/^Action:\s*(\S+)/im)?.[1]?.toLowerCase();
+  if (action && action !== 'failed') return null; // delayed / relayed / delivered notices
+
+  const status = text.match(/^Status:\s*(\d\.\d{1,3}\.\d{1,3})/im)?.[1]
+    || text.match(/\b([45]\.\d\.\d{1,3})\b/)?.[1]
+    || null;
+  if (status && !status.startsWith('5')) return null; // transient failure, not an invalid address
+
+  const finalRecipients = [...text.matchAll(/^(?:Final|Original)-Recipient:\s*rfc822;\s*<?([^\s>]+@[^\s>]+)>?/gim)]
+    .map(m => m[1].toLowerCase());
+  const mentioned = [...text.matchAll(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g)].map(m => m[0].toLowerCase());
+
+  return {
+    recipients: finalRecipients.length > 0 ? [...new Set(finalRecipients)] : [...new Set(mentioned)],
+    status,
+    diagnostic: text.match(/^Diagnostic-Code:\s*(.+)$/im)?.[1]?.trim() || null,
+    originalMessageId: attachmentText.match(/^Message-ID:\s*(<[^>]+>)/im)?.[1] || null,
+    receivedAt: (parsed.date || new Date()).toISOString()
+  };
+}
+
+async function pollInbox() {
+  if (!IMAP_ENABLED) return 0;
+
+  let matchedCount = 0;
+  for (const inbox of IMAP_INBOXES) {
+    matchedCount += await pollMailbox(inbox);
+  }
+  return matchedCount;
+}
+
+async function pollMailbox(inbox) {
+  const { mailbox } = inbox;
+  const client = createImapClient(inbox);
+  let matchedCount = 0;
+  let bounceCount = 0;
+
+  try {
+    console.log(`\n📥 Checking ${mailbox}${IMAP_INBOXES.length > 1 ? ` of ${inbox.user || inbox.email}` : ''} for replies...`);
+    await client.connect();
+    const lock = await client.getMailboxLock(mailbox);
+
+    try {
+      const state = await getInboxState(inbox.id);
+      const uidValidity = String(client.mailbox.uidValidity);
+      let lastUid = state.uidValidity === uidValidity ? state.lastUid : 0;
+
+      // First run or UIDVALIDITY change: scan everything since the first outreach
+      let range = `${lastUid + 1}:*`;
+      if (lastUid === 0) {
+        const since = await getEarliestSentAt();
+        const uids = since ? await client.search({ since }, { uid: true }) : [];
+        if (!uids || uids.length === 0) {
+          await saveInboxState({ uidValidity, lastUid: Math.max(0, client.mailbox.uidNext - 1) }, inbox.id);
+          console.log('📭 No messages to check. Inbox checkpoint saved.');
+          return 0;
+        }
+        range = uids.join(',');
+      }
+
+      for await (const message of client.fetch(range, { uid: true, source: true }, { uid: true })) {
+        // "N:*" always returns the newest message even when its UID is below N
+        if (message.uid <= lastUid) continue;
+        lastUid = message.uid;
+
+        const parsed = await simpleParser(message.source);
+
+        const bounce = parseBounce(parsed);
+        if (bounce) {
+          const bounced = await recordBounce(bounce);
+          if (bounced) {
+            bounceCount++;
+            console.log(`   📛 Bounce ${bounce.status || ''} for ${bounced.recipient.email} @ ${bounced.job.company}${bounced.recipient.emailGuessed ? ` (guessed: ${detectEmailPattern(bounced.recipient.name, bounced.recipient.email)})` : ''}`);
+          }
+          continue;
+        }
+
+        const reply = parseReply(parsed);
+        const match = await recordReply(reply);
+        if (match) {
+          matchedCount++;
+          const icon = { positive: '💚', negative: '💔', opt_out: '🛑', auto_reply: '🤖', out_of_office: '🏖️' }[reply.classification];
+          console.log(`   ${icon} ${reply.classification} from ${reply.from} @ ${match.job.company} (matched by ${match.matchedBy})`);
+          console.log(`      "${reply.snippet}"`);
+
+          if (reply.classification === 'opt_out') {
+            // Both the address we wrote to and the one that answered, in case they differ (aliases, forwarding)
+            for (const email of new Set([match.recipient.email.toLowerCase(), reply.from].filter(Boolean))) {
+              if (await addSuppression('email', email, `opt-out reply ${reply.receivedAt.slice(0, 10)}`)) {
+                console.log(`      🛑 Added ${email} to the do-not-contact list`);
+              }
+            }
+          }
+        }
+      }
+
+      await saveInboxState({ uidValidity, lastUid }, inbox.id);
+    } finally {
+      lock.release();
+    }
+
+    console.log(`📥 Inbox checked: ${matchedCount} new repl${matchedCount === 1 ? 'y' : 'ies'} matched, ${bounceCount} bounce(s)`);
+  } catch (error) {
+    console.error(`❌ Inbox check failed${IMAP_INBOXES.length > 1 ? ` (${inbox.user || inbox.email})` : ''}:`, error.message);
+  } finally {
+    await client.logout().catch(() => client.close());
+  }
+
+  return matchedCount;
+}
+
+async function processFollowUps(senderName) {
+  const due = await getDueFollowUps();
+
+  if (due.length === 0) {
+    if (FOLLOW_UP_STEPS.length > 0) console.log('📭 No follow-ups due.');
+    return 0;
+  }
+
+  console.log(`\n🔁 ${due.length} follow-up(s) due. Processing...`);
+  console.log('─'.repeat(60));
+
+  let sentCount = 0;
+  let heldCount = 0;
+
+  for (let i = 0; i < due.length; i++) {
+    const { jobId, job, recipient, step } = due[i];
+    const label = step === FOLLOW_UP_STEPS.length - 1 ? 'final note' : 'nudge';
+    const draft = recipient.followUpDraft?.step === step ? recipient.followUpDraft : null;
+
+    // Review mode: the LLM-written follow-up waits for approval like a first email
+    if (draft?.reviewStatus === 'pending_review') {
+      console.log(`\n   📝 [${i + 1}/${due.length}] ${recipient.email} - Follow-up ${draft.reviewId} awaiting review`);
+      heldCount++;
+      continue;
+    }
+    if (!draft && REVIEW_MODE) {
+      try {
+        const { subject, body } = await generateFollowUpEmail(job, recipient, step, senderName);
+        const reviewId = createReviewId();
+        await saveFollowUpDraft(jobId, recipient.email, {
+          reviewId, step, emailSubject: subject, emailBody: body, reviewStatus: 'pending_review', draftedAt: new Date().toISOString()
+        });
+        console.log(`\n   📝 [${i + 1}/${due.length}] ${recipient.email} - Step ${step + 1} (${label}) drafted as ${reviewId}, awaiting review`);
+        heldCount++;
+      } catch (error) {
+        console.error(`\n   ❌ [${i + 1}/${due.length}] ${recipient.email} - Follow-up draft failed (will retry next run): ${error.message}`);
+      }
+      continue;
+    }
+
+    const account = findSendAccount(recipient);
+    if (!account) {
+      console.log(`\n   ⚠️  [${i + 1}/${due.length}] ${recipient.email} - Sending account "${recipient.account}" is no longer configured`);
+      continue;
+    }
+    const accountBlock = await getAccountBlock(account);
+    if (accountBlock) {
+      console.log(`\n   🚦 [${i + 1}/${due.length}] ${recipient.email} - ${describeAccount(account)}${accountBlock}, waits for the next run`);
+      continue;
+    }
+    const timeZone = getRecipientTimezone(job);
+    if (!isInSendWindow(timeZone)) {
+      console.log(`\n   🕘 [${i + 1}/${due.length}] ${recipient.email} - outside send window (${timeZone}, now ${getLocalTime(timeZone)})`);
+      continue;
+    }
+
+    console.log(`\n   🔁 [${i + 1}/${due.length}] Step ${step + 1} (${label}, day ${FOLLOW_UP_STEPS[step]}) → ${recipient.name || 'Unknown'} <${recipient.email}> @ ${job.company}`);
+
+    try {
+      const { subject, body } = draft
+        ? { subject: draft.emailSubject, body: draft.emailBody }
+        : await generateFollowUpEmail(job, recipient, step, senderName);
+      const info = await sendEmail([recipient.email], subject, body, senderName, { attachResume: false, accounts: [account], thread: recipient });
+      await recordFollowUpSent(jobId, recipient.email, {
+        step: step + 1,
+        dayOffset: FOLLOW_UP_STEPS[step],
+        subject,
+        body,
+        ...getDeliveryDetails(info),
+        sentAt: new Date().toISOString(),
+        account: account.id
+      });
+      sentCount++;
+      console.log(`      ✅ Follow-up sent!`);
+    } catch (error) {
+      // Same retry policy as first sends: back off on temporary failures, stop on permanent ones
+      const { transient, reason, authFailure } = classifySendError(error);
+      const attempts = (recipient.followUpAttempts || 0) + 1;
+
+      if (authFailure) {
+        // The account is paused now, so its other follow-ups are skipped too; no attempt is used up
+        console.error(`      🔑 SMTP ${reason} on ${account.email} - waits for the next run`);
+      } else if (transient && attempts < SEND_MAX_ATTEMPTS) {
+        const retryAt = new Date(Date.now() + getRetryDelayMs(attempts));
+        await recordFollowUpFailure(jobId, recipient.email, { attempts, error: reason, retryAt: retryAt.toISOString() });
+        console.error(`      🔁 Follow-up failed (${reason}) - retry ${attempts + 1}/${SEND_MAX_ATTEMPTS} after ${retryAt.toLocaleString('en-IN', { timeZone: CONFIG.schedule.timezone })}`);
+      } else {
+        const sendError = transient ? `${reason} (gave up after ${attempts} attempts)` : reason;
+        await recordFollowUpFailure(jobId, recipient.email, { attempts, error: sendError });
+        console.error(`      ❌ Follow-up failed permanently, sequence stopped: ${sendError}`);
+      }
+    }
+
+    if (i < due.length - 1) {
+      await delay(EMAIL_INTERVAL_MS);
+    }
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`📊 Follow-ups: ✅ Sent ${sentCount}/${due.length}${heldCount > 0 ? ` | 📝 Awaiting review: ${heldCount}` : ''}`);
+  if (heldCount > 0) console.log('📝 Review follow-up drafts with `npm run review -- list`');
+
+  return sentCount;
+}
+
+// Filter stage shared by scheduled cycles and the startup run
+async function filterNewJobs(jobs) {
+  const newJobs = [];
+
+  for (const job of jobs) {
+    if (!job.recipients || job.recipients.length === 0) {
+      console.log(`   ⏭️  Skip: No contacts found for ${job.company} - ${job.role}`);
+      continue;
+    }
+
+    if (isCompanyDenied(job.company)) {
+      console.log(`   ⏭️  Skip: ${job.company} is on the company deny list`);
+      continue;
+    }
+
+    const companySuppression = await findSuppression({ company: job.company, domain: job.companyDomain });
+    if (companySuppression) {
+      console.log(`   ⏭️  Skip: ${job.company} - ${describeSuppression(companySuppression)}`);
+      continue;
+    }
+
+    if (isBelowMinScore(job)) {
+      console.log(`   ⏭️  Skip: Score ${job.score} below minimum ${CONFIG.scoring.minScore} - ${job.company} - ${job.role}`);
+      continue;
+    }
+
+    if (!isWorkTypeAllowed(job)) {
+      console.log(`   ⏭️  Skip: ${describeWorkTypeBlock(job)} - ${job.company}`);
+      continue;
+    }
+
+    const companyCooldown = await getCompanyCooldown(job);
+    if (companyCooldown) {
+      console.log(`   ⏭️  Skip: ${job.company} - ${describeCooldown(companyCooldown)}`);
+      continue;
+    }
+
+    if (await isCompanyQueued(job.company, job.companyDomain)) {
+      console.log(`   ⏭️  Skip: Already queued ${job.company}`);
+      continue;
+    }
+
+    // Filter out individual recipients in a cooldown, opted out, emailed by another candidate or known to bounce
+    const freshRecipients = [];
+    for (const r of job.recipients) {
+      const suppression = r.email && await findSuppression({ email: r.email });
+      const contactCooldown = r.email && await getContactCooldown(r.email, job.role);
+      const sharedContact = r.email && findSharedContact(r.email);
+      if (suppression) {
+        console.log(`   ⏭️  Skip recipient: ${describeSuppression(suppression)}`);
+      } else if (contactCooldown) {
+        console.log(`   ⏭️  Skip recipient: ${r.email} ${describeCooldown(contactCooldown)}`);
+      } else if (sharedContact) {
+        console.log(`   ⏭️  Skip recipient: ${r.email} emailed by ${sharedContact.candidate} (${sharedContact.company}) on ${sharedContact.sentAt.slice(0, 10)}`);
+      } else if (await isEmailInvalid(r.email)) {
+        console.log(`   ⏭️  Skip recipient: ${r.email} bounced before`);
+      } else if (isVerificationBlocked(r.verification)) {
+        console.log(`   ⏭️  Skip recipient: ${r.email} failed deliverability check (${r.verification.detail})`);
+      } else if (r.emailGuessed && await isEmailPatternBlocked(r)) {
+        console.log(`   ⏭️  Skip recipient: ${r.email} uses a guessed pattern that bounces at this domain`);
+      } else {
+        freshRecipients.push(r);
+      }
+    }
+
+    if (freshRecipients.length === 0) {
+      console.log(`   ⏭️  Skip: All contacts at ${job.company} in a cooldown, suppressed, taken by another candidate or invalid`);
+      continue;
+    }
+
+    newJobs.push({ ...job, recipients: freshRecipients });
+  }
+
+  return newJobs;
+}
+
+// Only one cycle sends at a time: a scheduled run that fires while the last one is still sending (in this process
+// or another one started on the same data) is skipped. The lock file holds the owner's pid; a lock left by a
+// process that died is taken over, and its recipients still marked 'sending' count as interrupted.
+async function acquireCycleLock() {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await fs.writeFile(CYCLE_LOCK_PATH, JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString() }), { flag: 'wx' });
+      return null;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const owner = await fs.readFile(CYCLE_LOCK_PATH, 'utf-8').then(JSON.parse).catch(() => null);
+    if (owner && isProcessAlive(owner.pid)) return owner;
+    await fs.unlink(CYCLE_LOCK_PATH).catch(() => {});
+  }
+  return { pid: null };
+}
+
+async function releaseCycleLock() {
+  await fs.unlink(CYCLE_LOCK_PATH).catch(() => {});
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// Returns false when the run was skipped
+async function withCycleLock(label, run) {
+  const owner = await acquireCycleLock();
+  if (owner) {
+    const since = owner.startedAt ? ` since ${new Date(owner.startedAt).toLocaleString('en-IN', { timeZone: CONFIG.schedule.timezone })}` : '';
+    console.log(`\n⏭️  Skipping ${label}: another cycle is still running${owner.pid ? ` (pid ${owner.pid}${since})` : ''}`);
+    return false;
+  }
+  try {
+    await run();
+  } finally {
+    await releaseCycleLock();
+  }
+  return true;
+}
+
+async function runJobApplicationCycle() {
+  console.log('\n' + '🚀'.repeat(20));
+  console.log('🚀 STARTING JOB APPLICATION CYCLE');
+  console.log('🚀'.repeat(20));
+  console.log(`⏰ Time: ${new Date().toLocaleString('en-IN', { timeZone: CONFIG.schedule.timezone })}\n`);
+
+  try {
+    // Staged LLM pipeline: profile → sources → jobs → contacts → drafts
+    const { profile, jobs } = await analyzeAndFindJobs(await getResumeFile());
+
+    if (!profile) {
+      console.log('❌ Failed to extract profile. Skipping this cycle.');
+      return;
+    }
+
+    const senderName = profile.name || SENDER_NAME;
+    console.log(`👤 Candidate: ${senderName}`);
+
+    // Check if there are existing jobs in queue
+    const queueSize = await getQueueSize();
+    if (queueSize > 0) {
+      console.log(`\n🔄 Processing existing queue (${queueSize} jobs pending)...`);
+      await processJobQueue(senderName);
+    }
+
+    await pollInbox();
+    await processFollowUps(senderName);
+
+    if (jobs.length === 0) {
+      console.log('⚠️ No new jobs found. Skipping this cycle.');
+      return;
+    }
+
+    console.log(`\n🔍 Filtering jobs...`);
+    const newJobs = await filterNewJobs(jobs);
+
+    if (newJobs.length === 0) {
+      console.log('⚠️ All jobs already contacted. Skipping this cycle.');
+      return;
+    }
+
+    await addJobsToQueue(newJobs);
+
+    console.log(`\n📨 Processing newly added jobs...`);
+    await processJobQueue(senderName);
+
+    const stats = await getJobStats();
+    const remainingInQueue = await getQueueSize();
+
+    console.log('\n' + '═'.repeat(60));
+    console.log('📊 CYCLE STATS');
+    console.log('═'.repeat(60));
+    console.log(`   📈 All time: Total ${stats.total} | ✅ Sent ${stats.sent} (${stats.companies} companies) | ❌ Failed ${stats.failed}`);
+    console.log(`   📬 Queue: ${remainingInQueue} jobs pending`);
+    console.log('═'.repeat(60));
+
+    console.log('\n✨ Job application cycle completed!');
+    console.log(`🕐 Last Run: ${getLastRunTime()}\n`);
+
+  } catch (error) {
+    console.error('💥 Fatal error in job application cycle:', error.message);
+    console.log(`🕐 Last Run (Failed): ${getLastRunTime()}\n`);
+  }
+}
+
+async function initialStartupRun() {
+  console.log('\n' + '🎬'.repeat(20));
+  console.log('🎬 INITIAL STARTUP RUN');
+  console.log('🎬'.repeat(20));
+
+  try {
+    let senderName = SENDER_NAME; // Initialize with default/env SENDER_NAME
+
+    // Process existing queue FIRST
+    const initialQueueSize = await getQueueSize();
+    if (initialQueueSize > 0) {
+      console.log(`\n📋 Processing existing queue (${initialQueueSize} jobs)...`);
+      await processJobQueue(senderName);
+
+      const remainingAfterClear = await getQueueSize();
+      const pendingReview = await getPendingReviewCount();
+      if (pendingReview > 0) {
+        console.log(`📝 ${pendingReview} drafts awaiting review (run \`npm run review -- list\`)`);
+      } else if (remainingAfterClear > 0) {
+        console.log(`⚠️ Warning: ${remainingAfterClear} jobs failed to send (will retry later)`);
+      } else {
+        console.log(`✅ Queue completely cleared!`);
+      }
+    } else {
+      console.log(`\n📋 Queue is already empty. ✅`);
+    }
+
+    // Now, prepare the resume and ask the LLM for new jobs
+    const file = await getResumeFile();
+
+    // Staged LLM pipeline: profile → sources → jobs → contacts → drafts
+    console.log('\n🔍 Analyzing resume and searching for jobs...');
+    const { profile, jobs } = await analyzeAndFindJobs(file);
+
+    if (!profile) {
+      console.log('❌ Failed to extract profile. Cannot proceed.');
+      return null;
+    }
+
+    // Update senderName if profile is successfully extracted
+    senderName = profile.name || SENDER_NAME;
+
+    await pollInbox();
+    await processFollowUps(senderName);
+
+    if (jobs.length === 0) {
+      console.log('\n⚠️ No new jobs found.');
+    } else {
+      console.log(`\n🔍 STEP 2: Filtering jobs...`);
+      const newJobs = await filterNewJobs(jobs);
+
+      if (newJobs.length > 0) {
+        await addJobsToQueue(newJobs);
+
+        console.log(`\n📨 STEP 3: Processing all newly added jobs...`);
+        await processJobQueue(senderName);
+
+        const finalQueueSize = await getQueueSize();
+        const pendingReview = await getPendingReviewCount();
+        if (pendingReview > 0) {
+          console.log(`\n📝 ${pendingReview} drafts awaiting review (run \`npm run review -- list\`)`);
+        } else if (finalQueueSize > 0) {
+          console.log(`\n⚠️ ${finalQueueSize} jobs remain in queue (will retry on next scheduled run)`);
+        } else {
+          console.log(`\n✅ All jobs processed successfully!`);
+        }
+      } else {
+        console.log('⚠️ All jobs already contacted.');
+      }
+    }
+
+    const stats = await getJobStats();
+    const remainingInQueue = await getQueueSize();
+
+    console.log('\n' + '═'.repeat(60));
+    console.log('🎉 STARTUP RUN COMPLETE');
+    console.log('═'.repeat(60));
+    console.log(`   👤 Candidate: ${senderName}`);
+    console.log(`   📈 All time: Total ${stats.total} | ✅ Sent ${stats.sent} (${stats.companies} companies) | ❌ Failed ${stats.failed}`);
+    console.log(`   📬 Queue: ${remainingInQueue} jobs pending`);
+    console.log(`   🕐 Last Run: ${getLastRunTime()}`);
+    console.log('═'.repeat(60) + '\n');
+
+    return profile;
+
+  } catch (error) {
+    console.error('💥 Fatal error in initial startup run:', error.message);
+    console.log(`🕐 Last Run (Failed): ${getLastRunTime()}\n`);
+    return null;
+  }
+}
+
+async function verifySetup() {
+  console.log('\n' + '🔧'.repeat(20));
+  console.log('🔧 VERIFYING SETUP');
+  console.log('🔧'.repeat(20) + '\n');
+
+  // Check environment variables (an API key is only needed for hosted providers)
+  const llmEnvVars = {
+    gemini: ['GEMINI_API_KEY'],
+    openai: process.env.OPENAI_BASE_URL ? [] : ['OPENAI_API_KEY'],
+    ollama: [],
+  };
+  const missing = [
+    ...llmEnvVars[llm.name].filter(key => !process.env[key]),
+    ...SMTP_ACCOUNTS.flatMap(account => account.missing)
+  ];
+
+  if (missing.length > 0) {
+    console.error(`❌ Missing environment variables: ${missing.join(', ')}`);
+    console.log('\n📋 Required environment variables:');
+    console.log('   🔑 GEMINI_API_KEY - Google Gemini API key (LLM_PROVIDER=gemini)');
+    console.log('   🔑 OPENAI_API_KEY - API key (LLM_PROVIDER=openai without OPENAI_BASE_URL)');
+    console.log('   📧 SMTP_USER      - Email address (e.g., your-email@gmail.com)');
+    console.log('   🔐 SMTP_PASS      - Email password or app password (or SMTP_OAUTH_CLIENT_ID/SECRET/REFRESH_TOKEN)');
+    console.log('\n📋 Optional environment variables:');
+    console.log('   ⚙️  JOBHUNTER_CONFIG - Preferences file (default: jobhunter.config.json/.yaml)');
+    console.log('   👤 JOBHUNTER_CANDIDATE - Candidate folder under candidates/ (multi-candidate installs)');
+    console.log('   👥 SHARED_CONTACT_DAYS - Days a contact emailed by one candidate is held for the others (default: 0 = off)');
+    console.log('   🤖 LLM_PROVIDER   - gemini, openai or ollama (default: gemini)');
+    console.log('   🧠 LLM_MODEL      - Model name (default depends on provider)');
+    console.log('   🗂️  JOB_BOARDS     - Job boards to pull postings from, e.g. greenhouse:stripe,lever:netflix');
+    console.log('   🌐 SMTP_HOST      - SMTP server (default: smtp.gmail.com)');
+    console.log('   🔌 SMTP_PORT      - SMTP port (default: 587)');
+    console.log('   🔒 SMTP_SECURE    - Use SSL (default: false, true for port 465)');
+    console.log('   📤 SENDER_EMAIL   - From email (default: SMTP_USER)');
+    console.log('   📮 SMTP_ACCOUNTS  - Extra sending accounts, e.g. work,backup (read from SMTP_WORK_*, SMTP_BACKUP_*)');
+    console.log('   👤 SENDER_NAME    - From name (default: extracted from resume)');
+    console.log('   📝 REVIEW_MODE    - Hold drafts and follow-ups for approval before sending (default: false)');
+    console.log('   🔁 FOLLOW_UP_STEPS - Follow-up days after first email, e.g. 4,10 (default: off)');
+    console.log('   🔂 SEND_MAX_ATTEMPTS - Attempts per recipient for temporary SMTP failures (default: 4)');
+    console.log('   📥 IMAP_HOST      - IMAP server for reply detection, polled for every sending account (default: off)');
+    console.log('   🛑 UNSUBSCRIBE_EMAIL - List-Unsubscribe mailto address (default: the sending account)');
+    console.log('   🔎 EMAIL_VERIFY_SMTP_PROBE - RCPT-probe inferred addresses before sending (default: false)');
+    process.exit(1);
+  }
+  console.log('✅ Environment variables configured');
+  if (CANDIDATE) {
+    console.log(`✅ Candidate: ${CANDIDATE} (${path.relative(__dirname, HOME_DIR)})${isSharedContactsEnabled() ? `, contacts shared for ${SHARED_CONTACT_DAYS} days` : ''}`);
+  }
+  console.log(`✅ LLM provider: ${llm.name} (${llm.model})`);
+  console.log(CONFIG.path
+    ? `✅ Preferences loaded from ${path.basename(CONFIG.path)}`
+    : `ℹ️  No ${CONFIG_FILES[0]} or ${CONFIG_FILES[1]} found — using default preferences`);
+  const { perHour, perDay, warmup, window } = CONFIG.sending;
+  console.log(`✅ Sending: max ${perHour}/hour, ${perDay}/day${warmup.days > 0 ? ` after a ${warmup.days}-day warm-up` : ''}, ${window.start}–${window.end} ${window.recipientTimezone ? 'recipient time' : CONFIG.schedule.timezone}`);
+
+  // Providers without web search pick jobs from job boards / jobSources.json
+  if (JOB_BOARDS.length > 0) {
+    console.log(`✅ Job boards: ${JOB_BOARDS.length} configured`);
+  } else if (!llm.supportsSearch && !(await hasJobSources())) {
+    console.warn(`⚠️ ${llm.name} can't search the web and no JOB_BOARDS or ${path.basename(JOB_SOURCES_PATH)} are set up — no new jobs will be discovered`);
+  }
+
+  // Check resume file
+  try {
+    await fs.access(RESUME_PATH);
+    console.log('✅ Resume file found');
+  } catch {
+    console.error(`❌ Resume file not found at: ${RESUME_PATH}`);
+    console.log('📝 Please place your resume as "resume.pdf" in the project root directory.');
+    process.exit(1);
+  }
+  const missingVariants = [];
+  for (const variant of CONFIG.resumes.variants) {
+    await fs.access(getResumeVariantPath(variant)).catch(() => missingVariants.push(variant));
+  }
+  if (missingVariants.length > 0) {
+    missingVariants.forEach(v => console.error(`❌ Resume variant "${v.name}" not found at: ${getResumeVariantPath(v)}`));
+    process.exit(1);
+  }
+  if (CONFIG.resumes.variants.length > 0) {
+    console.log(`✅ Resume variants: ${CONFIG.resumes.variants.map(v => v.name).join(', ')}`);
+  }
+
+  // Test SMTP connections; one working account is enough to start
+  let workingAccounts = 0;
+  for (const account of SMTP_ACCOUNTS) {
+    try {
+      await account.transport.verify();
+      console.log(`✅ SMTP connection verified: ${account.email} (${account.authType}${SMTP_ACCOUNTS.length > 1 ? `, ${account.id}` : ''})`);
+      workingAccounts++;
+    } catch (error) {
+      console.error(`❌ SMTP connection failed for ${account.email}:`, error.message);
+    }
+  }
+  if (workingAccounts === 0) {
+    console.log('\n📧 For Gmail, make sure to:');
+    console.log('   1️⃣  Enable 2-Factor Authentication');
+    console.log('   2️⃣  Create an App Password at https://myaccount.google.com/apppasswords');
+    console.log('   3️⃣  Use the App Password as SMTP_PASS (or set up OAuth2, see README)');
+    process.exit(1);
+  }
+
+  // Open the database (creates it, runs migrations and imports jobs.json / jobQueue.json once)
+  try {
+    const stats = await getJobStats();
+    console.log(`✅ Database ready: ${path.basename(STORE_PATH)} (${stats.total} jobs tracked)`);
+  } catch (error) {
+    console.error('❌ Database error:', error.message);
+    process.exit(1);
+  }
+
+  // Check queue
+  const queueSize = await getQueueSize();
+  if (queueSize > 0) {
+    console.log(`✅ Job queue found (${queueSize} pending jobs)`);
+  } else {
+    console.log('✅ Job queue initialized (empty)');
+  }
+
+  console.log('\n🎉 All checks passed!\n');
+}
+
+// Review commands: `npm run review -- <list|preview|edit|approve|reject> [id|all]`
+// Queued first emails and (with REVIEW_MODE) follow-up drafts share one list of ids.
+// A draft is { job, recipient, draft, save }: draft holds the subject, body and review state.
+function collectDrafts(queue, followUpDrafts) {
+  return [
+    ...queue.flatMap(job => (job.recipients || []).map(recipient => ({ job, recipient, draft: recipient, save: () => saveQueueEntries(queue) }))),
+    ...followUpDrafts.map(({ jobId, job, recipient, draft }) => ({ job, recipient, draft, save: () => saveFollowUpDraft(jobId, recipient.email, draft) }))
+  ];
+}
+
+// Older queue entries have no reviewId; assign one so they can be addressed
+function ensureReviewIds(queue) {
+  let changed = false;
+  for (const job of queue) {
+    for (const recipient of job.recipients || []) {
+      if (!recipient.reviewId) {
+        recipient.reviewId = createReviewId();
+        changed = true;
+      }
+    }
+  }
+  return changed;
+}
+
+// $EDITOR may carry arguments ("code --wait"); split it without a shell so the draft path is passed as is
+function splitCommand(command) {
+  return (command.match(/"[^"]*"|'[^']*'|\S+/g) || []).map(part => part.replace(/^(["'])(.*)\1$/, '$2'));
+}
+
+function describeFollowUpDraft(draft) {
+  return `follow-up ${draft.step + 1}/${FOLLOW_UP_STEPS.length}`;
+}
+
+function printDraft(job, recipient, draft = recipient) {
+  const body = (draft.emailBody || '').replace(/\\n/g, '\n');
+  console.log('\n' + '═'.repeat(60));
+  console.log(`📝 [${draft.reviewId}] ${job.role} @ ${job.company}${draft === recipient ? '' : ` (${describeFollowUpDraft(draft)})`} — ${getReviewStatus(draft)}`);
+  console.log('═'.repeat(60));
+  console.log(`  To:      ${recipient.name || 'Unknown'} (${recipient.title || 'Contact'}) <${recipient.email}>${recipient.emailGuessed ? ' [inferred]' : ' [verified]'}`);
+  console.log(`  Subject: ${draft.emailSubject || `Application for ${job.role} at ${job.company}`}`);
+  console.log('─'.repeat(60));
+  console.log(body || '(no email body generated)');
+  console.log('═'.repeat(60));
+}
+
+async function runReviewCommand(args) {
+  const [action = 'list', target] = args;
+  const queue = await loadQueue();
+
+  if (ensureReviewIds(queue)) {
+    await saveQueueEntries(queue);
+  }
+
+  const drafts = collectDrafts(queue, await getFollowUpDrafts());
+
+  if (action === 'list') {
+    const pending = drafts.filter(d => getReviewStatus(d.draft) === 'pending_review');
+
+    console.log(`\n📝 DRAFTS: ${drafts.length} (${pending.length} awaiting review)`);
+    console.log('─'.repeat(60));
+    drafts.forEach(({ job, recipient, draft }) => {
+      const status = getReviewStatus(draft);
+      const statusIcon = status === 'approved' ? '✅' : status === 'rejected' ? '🚫' : '⏳';
+      console.log(`   ${statusIcon} [${draft.reviewId}] ${job.role} @ ${job.company}${draft === recipient ? '' : ` (${describeFollowUpDraft(draft)})`}`);
+      console.log(`      -> ${recipient.name || 'Unknown'} (${recipient.title || 'Contact'}) <${recipient.email}>${recipient.emailGuessed ? ' [inferred]' : ''}${formatVerification(recipient.verification)}`);
+      console.log(`      Subject: ${draft.emailSubject || '(none)'}`);
+    });
+    console.log('─'.repeat(60));
+    console.log('   Legend: ⏳ Pending Review | ✅ Approved | 🚫 Rejected');
+    return;
+  }
+
+  if (!target) {
+    console.error(`❌ Usage: npm run review -- ${action} <id${action === 'approve' || action === 'reject' ? '|all' : ''}>`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if ((action === 'approve' || action === 'reject') && target === 'all') {
+    const status = action === 'approve' ? 'approved' : 'rejected';
+    let count = 0;
+    let skipped = 0;
+    for (const { draft, save } of drafts) {
+      if (getReviewStatus(draft) !== 'pending_review') continue;
+      // Same rule as approving one draft: an empty body would go out as an empty email
+      if (action === 'approve' && !(draft.emailBody || '').trim()) {
+        console.error(`⚠️  Draft ${draft.reviewId} has no email body, left pending. Edit it before approving.`);
+        skipped++;
+        continue;
+      }
+      draft.reviewStatus = status;
+      draft.reviewedAt = new Date().toISOString();
+      await save();
+      count++;
+    }
+    console.log(`${action === 'approve' ? '✅ Approved' : '🚫 Rejected'} ${count} pending drafts${skipped > 0 ? ` (${skipped} without a body left pending)` : ''}`);
+    return;
+  }
+
+  const found = drafts.find(d => d.draft.reviewId === target);
+  if (!found) {
+    console.error(`❌ No draft found with id: ${target}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const { job, recipient, draft, save } = found;
+
+  switch (action) {
+    case 'preview':
+      printDraft(job, recipient, draft);
+      break;
+
+    case 'edit': {
+      const tmpPath = path.join(os.tmpdir(), `jobhunter-draft-${draft.reviewId}.txt`);
+      const body = (draft.emailBody || '').replace(/\\n/g, '\n');
+      await fs.writeFile(tmpPath, `Subject: ${draft.emailSubject || ''}\n\n${body}\n`);
+
+      const [editor, ...editorArgs] = splitCommand(process.env.EDITOR || process.env.VISUAL || 'vi');
+      const result = spawnSync(editor, [...editorArgs, tmpPath], { stdio: 'inherit' });
+      if (result.error || result.status !== 0) {
+        console.error(`❌ ${result.error ? `Cannot start editor "${editor}": ${result.error.message}` : `Editor exited with status ${result.status}`}. Draft unchanged.`);
+        process.exitCode = 1;
+        return;
+      }
+
+      const edited = await fs.readFile(tmpPath, 'utf-8');
+      await fs.unlink(tmpPath).catch(() => {});
+
+      const match = edited.match(/^Subject:[ \t]*(.*)\r?\n([\s\S]*)$/);
+      if (!match) {
+        console.error('❌ First line must start with "Subject:". Draft unchanged.');
+        process.exitCode = 1;
+        return;
+      }
+
+      draft.emailSubject = match[1].trim();
+      draft.emailBody = match[2].trim();
+      draft.editedAt = new Date().toISOString();
+      await save();
+      console.log(`✏️  Draft ${draft.reviewId} updated`);
+      printDraft(job, recipient, draft);
+      break;
+    }
+
+    case 'approve':
+    case 'reject':
+      if (action === 'approve' && !(draft.emailBody || '').trim()) {
+        console.error(`❌ Draft ${draft.reviewId} has no email body. Edit it before approving.`);
+        process.exitCode = 1;
+        return;
+      }
+      draft.reviewStatus = action === 'approve' ? 'approved' : 'rejected';
+      draft.reviewedAt = new Date().toISOString();
+      await save();
+      console.log(`${action === 'approve' ? '✅ Approved' : '🚫 Rejected'}: ${recipient.email} @ ${job.company}${draft === recipient ? '' : ` (${describeFollowUpDraft(draft)})`}`);
+      break;
+
+    default:
+      console.error(`❌ Unknown review action: ${action}`);
+      console.log('   Available: list, preview <id>, edit <id>, approve <id|all>, reject <id|all>');
+      process.exitCode = 1;
+  }
+}
+
+// Follow-up commands: `npm run followups -- <list|replied|opted-out> [email]`
+async function runFollowUpsCommand(args) {
+  const [action = 'list', email] = args;
+
+  if (action === 'list') {
+    if (FOLLOW_UP_STEPS.length === 0) {
+      console.log('⚠️ Follow-ups are disabled (set FOLLOW_UP_STEPS, e.g. "4,10")');
+      return;
+    }
+
+    const due = await getDueFollowUps();
+    const dueKeys = new Set(due.map(d => `${d.jobId}:${d.recipient.email.toLowerCase()}`));
+
+    console.log(`\n🔁 FOLLOW-UP SEQUENCES (steps at day ${FOLLOW_UP_STEPS.join(', ')})`);
+    console.log('─'.repeat(60));
+    for (const { jobId, job } of await getSentJobs()) {
+      for (const r of job.sentRecipients || []) {
+        if (!Array.isArray(r.followUps)) continue;
+        const done = r.followUps.length;
+        let state;
+        if (r.optedOutAt) state = '🛑 opted out';
+        else if (r.repliedAt) state = '💬 replied';
+        else if (done >= FOLLOW_UP_STEPS.length) state = '🏁 sequence complete';
+        else if (r.followUpsFailedAt) state = `❌ stopped: ${r.followUpError}`;
+        else if (r.followUpDraft?.reviewStatus === 'rejected') state = `🚫 step ${done + 1} rejected in review, sequence stopped`;
+        else if (r.followUpDraft?.reviewStatus === 'pending_review') state = `📝 step ${done + 1} awaiting review [${r.followUpDraft.reviewId}]`;
+        else if (dueKeys.has(`${jobId}:${r.email?.toLowerCase()}`)) state = `⏰ step ${done + 1} due`;
+        else if (r.followUpRetryAt && new Date(r.followUpRetryAt) > new Date()) state = `🔁 step ${done + 1} retry after ${new Date(r.followUpRetryAt).toLocaleString('en-IN', { timeZone: CONFIG.schedule.timezone })} (${r.followUpError})`;
+        else {
+          const nextAt = new Date(getFollowUpDueAt(job, r, done));
+          state = `⏳ step ${done + 1} on ${nextAt.toLocaleDateString('en-IN', { timeZone: CONFIG.schedule.timezone })}`;
+        }
+        console.log(`   ${r.email} @ ${job.company} — ${done}/${FOLLOW_UP_STEPS.length} sent — ${state}`);
+      }
+    }
+    console.log('─'.repeat(60));
+    return;
+  }
+
+  const fields = { 'replied': 'repliedAt', 'opted-out': 'optedOutAt' };
+  if (!fields[action] || !email) {
+    console.error('❌ Usage: npm run followups -- <list|replied <email>|opted-out <email>>');
+    process.exitCode = 1;
+    return;
+  }
+
+  // An opt-out is kept on the do-not-contact list even when nothing was sent to that address yet
+  if (action === 'opted-out' && await addSuppression('email', email, 'opted out')) {
+    console.log(`🛑 Added ${email} to the do-not-contact list`);
+  }
+
+  const matched = await markRecipientEvent(email, fields[action]);
+  if (matched === 0) {
+    if (action === 'opted-out') return;
+    console.error(`❌ No sent email found for: ${email}`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`✅ Recorded ${action} for ${email} — follow-ups stopped (${matched} record(s))`);
+}
+
+// History command: `npm run history -- [company]` lists every past contact and the cooldown it leaves
+async function runHistoryCommand(args) {
+  const db = await getStore();
+  const query = args.join(' ').trim();
+  let entities = db.prepare(`SELECT * FROM companies WHERE id IN (
+    SELECT company_id FROM jobs WHERE status IN ('sent', 'failed') UNION SELECT company_id FROM sent_companies
+  ) ORDER BY name COLLATE NOCASE`).all();
+  if (query) {
+    const entity = resolveCompany(db, looksLikeDomain(query) ? { name: query, domain: query } : { name: query });
+    entities = entities.filter(e => e.id === entity?.id);
+    if (entities.length === 0) {
+      console.error(`❌ No contact history for: ${query}`);
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  const date = value => new Date(value).toLocaleDateString('en-IN', { timeZone: CONFIG.schedule.timezone });
+  console.log(`\n📚 CONTACT HISTORY (${entities.length} companies)`);
+  console.log('─'.repeat(60));
+  for (const entity of entities) {
+    const cooldown = findActiveCooldown(loadCompanyContacts(db, entity), null);
+    console.log(`\n🏢 ${entity.name}${entity.domain ? ` (${entity.domain})` : ''} — ${cooldown ? `⏳ ${describeCooldown(cooldown)}` : '✅ can be contacted again'}`);
+
+    for (const row of db.prepare("SELECT data FROM jobs WHERE company_id = ? AND status IN ('sent', 'failed') ORDER BY id").all(entity.id)) {
+      const job = JSON.parse(row.data);
+      if (job.status === 'failed') {
+        console.log(`   ❌ ${date(job.failedAt)} ${job.role || 'Unknown role'} — nothing delivered${job.errorMessage ? ` (${job.errorMessage})` : ''}`);
+        continue;
+      }
+      console.log(`   📨 ${date(job.sentAt)} ${job.role || 'Unknown role'} [${getRoleFamily(job.role)}]`);
+      for (const r of job.sentRecipients || []) {
+        const { outcome } = getRecipientOutcome(r, job);
+        console.log(`      ${r.email} — ${COOLDOWN_OUTCOMES[outcome]}${(r.followUps || []).length > 0 ? `, ${r.followUps.length} follow-up(s)` : ''}`);
+      }
+    }
+  }
+  console.log('\n' + '─'.repeat(60));
+}
+
+// Profile commands: `npm run profile -- <show|set|unset|add|remove> [field] [value]`
+const PROFILE_ACTIONS = ['show', 'set', 'unset', 'add', 'remove'];
+
+function listProfileFields(schema = SCHEMAS.profile, prefix = '') {
+  return Object.entries(schema.fields).flatMap(([key, field]) => (field.type === 'object'
+    ? listProfileFields(field, `${prefix}${key}.`)
+    : [`${prefix}${key}`]));
+}
+
+// The saved pipeline run picks up override changes without extracting again
+async function refreshPipelineProfile(cache, hash) {
+  const run = await loadPipelineRun();
+  const entry = cache.profiles[hash];
+  if (!run || !entry || run.resumeFile?.hash !== hash || run.stages.profile.status !== 'done') return;
+
+  run.stages.profile.output = applyProfileOverrides(entry, cache.overrides);
+  run.stages.profile.overrides = Object.keys(cache.overrides);
+  await savePipelineRun(run);
+}
+
+async function runProfileCommand(args) {
+  const [action = 'show', fieldPath, ...valueParts] = args;
+  const value = valueParts.join(' ').trim();
+  const cache = await loadProfileCache();
+  const hash = await hashResume().catch(() => null);
+  const entry = hash ? cache.profiles[hash] : null;
+
+  if (action === 'show') {
+    if (entry) {
+      printProfile(applyProfileOverrides(entry, cache.overrides).profile);
+      if (entry.analysis) printAnalysis(entry.analysis);
+      const extractedAt = new Date(entry.extractedAt).toLocaleString('en-IN', { timeZone: CONFIG.schedule.timezone });
+      console.log(`📄 Extracted ${extractedAt} by ${entry.llm.provider} (${entry.llm.model}) from resume ${hash.slice(0, 12)}`);
+    } else {
+      console.log('⚠️ No profile extracted for the current resume.pdf yet — it is extracted on the next cycle');
     }
 
+    const overrides = Object.entries(cache.overrides);
+    console.log(`\n✏️  OVERRIDES (${overrides.length})`);
+    console.log('─'.repeat(60));
+    for (const [field, override] of overrides) {
+      const extracted = entry ? ` (extracted: ${JSON.stringify(getProfileField(entry.profile, field) ?? null)})` : '';
+      console.log(`   ${field} = ${JSON.stringify(override)}${extracted}`);
+    }
+    console.log('─'.repeat(60));
+    return;
   }
 
-  console.log('\n' + '─'.repeat(60));
-  console.log(`📊 Queue Stats: ✅ Sent: ${sentCount} | ❌ Failed: ${failedCount}`);
-
-  return sentCount;
-}
-
-async function runJobApplicationCycle() {
-  console.log('\n' + '🚀'.repeat(20));
-  console.log('🚀 STARTING JOB APPLICATION CYCLE');
-  console.log('🚀'.repeat(20));
-  console.log(`⏰ Time: ${new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}\n`);
+  const schema = fieldPath ? getProfileFieldSchema(fieldPath) : null;
+  if (!PROFILE_ACTIONS.includes(action) || !schema || (action !== 'unset' && !value)) {
+    console.error('❌ Usage: npm run profile -- <show|set <field> <value>|unset <field>|add <field> <value>|remove <field> <value>>');
+    if (fieldPath && !schema) console.error(`   Unknown field "${fieldPath}". Fields: ${listProfileFields().join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
 
-  try {
-    // Single Gemini call for everything
-    const { profile, jobs } = await analyzeAndFindJobs(resumeFile);
+  if (action === 'unset') {
+    if (!(fieldPath in cache.overrides)) {
+      console.error(`❌ ${fieldPath} has no override`);
+      process.exitCode = 1;
+      return;
+    }
+    delete cache.overrides[fieldPath];
+  } else {
+    let raw = value;
+    if (action === 'add' || action === 'remove') {
+      if (schema.type !== 'array' || schema.items.type !== 'string') {
+        console.error(`❌ ${fieldPath} is not a list of values — use set`);
+        process.exitCode = 1;
+        return;
+      }
+      // Edits start from the current override, or the extracted list
+      const current = cache.overrides[fieldPath] ?? getProfileField(entry?.profile, fieldPath) ?? [];
+      raw = action === 'add'
+        ? [...current.filter(item => item.toLowerCase() !== value.toLowerCase()), value]
+        : current.filter(item => item.toLowerCase() !== value.toLowerCase());
+      if (raw.length === current.length && action === 'remove') {
+        console.error(`❌ "${value}" is not in ${fieldPath}`);
+        process.exitCode = 1;
+        return;
+      }
+    } else if (schema.type === 'array' && schema.items.type === 'object') {
+      // e.g. set projects '[{"name": "Tracker", "technologies": ["Go"]}]'
+      try {
+        raw = JSON.parse(value);
+      } catch (error) {
+        console.error(`❌ ${fieldPath} takes a JSON list: ${error.message}`);
+        process.exitCode = 1;
+        return;
+      }
+    }
 
-    if (!profile) {
-      console.log('❌ Failed to extract profile. Skipping this cycle.');
+    const result = { errors: [], repairs: [], dropped: [] };
+    const parsed = validateValue(schema, raw, fieldPath, result);
+    const errors = [...result.errors, ...result.dropped.flatMap(d => d.reasons)];
+    if (parsed === undefined || errors.length > 0) {
+      console.error(`❌ ${errors.join('; ') || `Invalid value for ${fieldPath}`}`);
+      process.exitCode = 1;
       return;
     }
+    cache.overrides[fieldPath] = parsed;
+  }
 
-    const senderName = profile.name || SENDER_NAME;
-    console.log(`👤 Candidate: ${senderName}`);
+  await saveProfileCache(cache);
+  await refreshPipelineProfile(cache, hash);
+  console.log(action === 'unset'
+    ? `✅ Removed the ${fieldPath} override — the extracted value is used again`
+    : `✅ ${fieldPath} = ${JSON.stringify(cache.overrides[fieldPath])} (used for scoring and email drafts)`);
+}
 
-    // Check if there are existing jobs in queue
-    const queueSize = await getQueueSize();
-    if (queueSize > 0) {
-      console.log(`\n🔄 Processing existing queue (${queueSize} jobs pending)...`);
-      await processJobQueue(senderName);
+// Variants command: `npm run variants` shows the variants and the reply rate of each
+async function runVariantsCommand() {
+  console.log(`\n📎 RESUME VARIANTS (${CONFIG.resumes.variants.length} + ${DEFAULT_RESUME_VARIANT.file})`);
+  console.log('─'.repeat(60));
+  for (const variant of CONFIG.resumes.variants) {
+    const found = await fs.access(getResumeVariantPath(variant)).then(() => true, () => false);
+    const rules = [
+      variant.roles.length > 0 && `roles: ${variant.roles.join(', ')}`,
+      variant.targetAreas.length > 0 && `areas: ${variant.targetAreas.join(', ')}`,
+      variant.companyTypes.length > 0 && `company types: ${variant.companyTypes.join(', ')}`
+    ].filter(Boolean);
+    console.log(`   ${found ? '✅' : '❌'} ${variant.name} — ${path.join(CONFIG.resumes.dir, variant.file)}${found ? '' : ' (missing)'}`);
+    console.log(`      ${rules.join(' | ') || 'no matching rules (never selected)'}`);
+  }
+  console.log(`   ✅ ${DEFAULT_RESUME_VARIANT.name} — ${DEFAULT_RESUME_VARIANT.file} (when no variant matches)`);
+
+  // Everything sent before variants existed went out with resume.pdf
+  const stats = new Map();
+  for (const { job } of await getSentJobs()) {
+    for (const r of job.sentRecipients || []) {
+      const name = r.resumeVariant || job.resumeVariant || DEFAULT_RESUME_VARIANT.name;
+      const entry = stats.get(name) || { emailed: 0, bounced: 0, replied: 0, positive: 0 };
+      entry.emailed++;
+      if (r.bouncedAt) entry.bounced++;
+      if (r.repliedAt) entry.replied++;
+      if (r.replyClassification === 'positive') entry.positive++;
+      stats.set(name, entry);
     }
+  }
 
-    if (jobs.length === 0) {
-      console.log('⚠️ No new jobs found. Skipping this cycle.');
-      return;
-    }
+  console.log(`\n📊 REPLY RATES`);
+  console.log('─'.repeat(60));
+  if (stats.size === 0) console.log('   Nothing sent yet');
+  for (const [name, { emailed, bounced, replied, positive }] of [...stats].sort(([, a], [, b]) => b.emailed - a.emailed)) {
+    const delivered = emailed - bounced;
+    const rate = delivered > 0 ? `${Math.round((replied / delivered) * 100)}%` : '—';
+    console.log(`   ${name.padEnd(16)} ${rate.padStart(4)} replied (${replied}/${delivered} delivered, ${positive} positive, ${bounced} bounced)`);
+  }
+  console.log('─'.repeat(60));
+}
 
-    console.log(`\n🔍 Filtering jobs...`);
-    const newJobs = [];
+// ATS report: score trend per resume version, missing keywords weighed by the jobs found, and what changed
+// between versions. Built as blocks so it renders to Markdown or HTML.
+function isSameKeyword(a, b) {
+  return expandSkill(a).some(term => term.toLowerCase() === b.toLowerCase());
+}
 
-    for (const job of jobs) {
-      if (!job.recipients || job.recipients.length === 0) {
-        console.log(`   ⏭️  Skip: No contacts found for ${job.company} - ${job.role}`);
-        continue;
-      }
+// Improvements are reworded from one analysis to the next; mostly the same words count as the same suggestion
+function isSameSuggestion(a, b) {
+  const words = text => new Set(text.toLowerCase().match(/[a-z0-9+#.]+/g) || []);
+  const [wordsA, wordsB] = [words(a), words(b)];
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / Math.max(1, new Set([...wordsA, ...wordsB]).size) >= 0.5;
+}
 
-      if (!isWorkTypeAllowed(job)) {
-        console.log(`   ⏭️  Skip: On-site outside Kolkata - ${job.company} (${job.location})`);
-        continue;
-      }
+function formatScoreChange(score, previous) {
+  if (previous?.analysis.atsScore == null || score == null) return '—';
+  const change = score - previous.analysis.atsScore;
+  return change > 0 ? `+${change}` : change < 0 ? `−${-change}` : '±0';
+}
 
-      if (await isCompanySent(job.company)) {
-        console.log(`   ⏭️  Skip: Already contacted ${job.company}`);
-        continue;
+function buildAtsReport(versions, jobTexts) {
+  const date = value => new Date(value).toLocaleDateString('en-IN', { timeZone: CONFIG.schedule.timezone });
+  const latest = versions[versions.length - 1];
+  const analysisCount = versions.reduce((sum, v) => sum + v.analyses, 0);
+  const blocks = [
+    { heading: 'ATS Report', level: 1 },
+    { text: `Generated ${date(Date.now())} from ${analysisCount} analyses of ${versions.length} resume versions and ${jobTexts.length} targeted jobs.` },
+    { heading: 'Score trend', level: 2 },
+    {
+      table: {
+        head: ['Version', 'Resume', 'Analyzed', 'ATS score', 'Change', 'Keywords', 'Formatting', 'Experience', 'Skills'],
+        rows: versions.map((v, i) => {
+          const breakdown = v.analysis.atsScoreBreakdown || {};
+          return [
+            `v${v.version}`, v.hash.slice(0, 12), date(v.analyzedAt),
+            `${formatScoreBar(v.analysis.atsScore)} ${v.analysis.atsScore ?? '?'}`, formatScoreChange(v.analysis.atsScore, versions[i - 1]),
+            breakdown.keywords ?? '—', breakdown.formatting ?? '—', breakdown.experience ?? '—', breakdown.skills ?? '—'
+          ];
+        })
       }
+    }
+  ];
 
-      // Filter out individual recipients already emailed
-      const freshRecipients = [];
-      for (const r of job.recipients) {
-        if (await isEmailSent(r.email)) {
-          console.log(`   ⏭️  Skip recipient: ${r.email} already emailed`);
-        } else {
-          freshRecipients.push(r);
-        }
+  // Every keyword any version was missing, with how many targeted jobs ask for it
+  const keywords = [];
+  for (const v of versions) {
+    for (const keyword of v.analysis.keywordsMissing || []) {
+      const entry = keywords.find(k => isSameKeyword(k.keyword, keyword));
+      if (entry) {
+        if (!entry.versions.includes(v.version)) entry.versions.push(v.version);
+      } else {
+        keywords.push({ keyword, versions: [v.version] });
       }
-
-      if (freshRecipients.length === 0) {
-        console.log(`   ⏭️  Skip: All contacts at ${job.company} already emailed`);
-        continue;
+    }
+  }
+  for (const entry of keywords) {
+    entry.jobs = jobTexts.filter(text => expandSkill(entry.keyword).some(term => termPattern(term).test(text))).length;
+    entry.missing = entry.versions.includes(latest.version);
+  }
+  keywords.sort((a, b) => b.missing - a.missing || b.jobs - a.jobs || b.versions.length - a.versions.length);
+
+  blocks.push({ heading: 'Missing keywords in targeted jobs', level: 2 });
+  const worthAdding = keywords.filter(k => k.missing && k.jobs > 0);
+  blocks.push({
+    text: worthAdding.length > 0
+      ? `Still missing and asked for by targeted jobs: ${worthAdding.slice(0, 10).map(k => `${k.keyword} (${k.jobs})`).join(', ')}.`
+      : 'No keyword the latest analysis flags appears in the targeted jobs.'
+  });
+  if (keywords.length > 0) {
+    blocks.push({
+      table: {
+        head: ['Keyword', 'Targeted jobs', 'Flagged in', 'Status'],
+        rows: keywords.map(k => [
+          k.keyword, `${k.jobs} of ${jobTexts.length}`, k.versions.map(n => `v${n}`).join(', '),
+          k.missing ? 'missing' : `covered since v${Math.max(...k.versions) + 1}`
+        ])
       }
+    });
+  }
 
-      newJobs.push({ ...job, recipients: freshRecipients });
+  blocks.push({ heading: 'Changes between versions', level: 2 });
+  if (versions.length === 1) blocks.push({ text: 'Only one resume version has been analyzed so far.' });
+  for (let i = 1; i < versions.length; i++) {
+    const [before, after] = [versions[i - 1].analysis, versions[i].analysis];
+    const without = (items, others, same) => (items || []).filter(item => !(others || []).some(other => same(item, other)));
+    const changes = [
+      ['Keywords no longer missing', without(before.keywordsMissing, after.keywordsMissing, isSameKeyword)],
+      ['Newly missing keywords', without(after.keywordsMissing, before.keywordsMissing, isSameKeyword)],
+      ['Improvements made', without(before.improvements, after.improvements, isSameSuggestion)],
+      ['New suggestions', without(after.improvements, before.improvements, isSameSuggestion)]
+    ].filter(([, items]) => items.length > 0);
+
+    blocks.push({ heading: `v${i} → v${i + 1}`, level: 3 });
+    blocks.push({ text: `ATS score ${before.atsScore ?? '?'} → ${after.atsScore ?? '?'} (${formatScoreChange(after.atsScore, versions[i - 1])}), ${date(versions[i].firstAnalyzedAt)}.` });
+    if (changes.length === 0) blocks.push({ text: 'The analysis found no differences.' });
+    for (const [label, items] of changes) {
+      blocks.push({ heading: label, level: 4 }, { list: items });
     }
+  }
 
-    if (newJobs.length === 0) {
-      console.log('⚠️ All jobs already contacted. Skipping this cycle.');
-      return;
+  blocks.push({ heading: `Open improvements (v${latest.version})`, level: 2 });
+  blocks.push((latest.analysis.improvements || []).length > 0 ? { list: latest.analysis.improvements } : { text: 'None.' });
+  return blocks;
+}
+
+function renderMarkdown(blocks) {
+  const cell = value => String(value).replace(/\|/g, '\\|');
+  return blocks.map(block => {
+    if (block.heading) return `${'#'.repeat(block.level)} ${block.heading}`;
+    if (block.list) return block.list.map(item => `- ${item}`).join('\n');
+    if (block.table) {
+      const { head, rows } = block.table;
+      return [head, head.map(() => '---'), ...rows].map(row => `| ${row.map(cell).join(' | ')} |`).join('\n');
     }
+    return block.text;
+  }).join('\n\n') + '\n';
+}
 
-    await addJobsToQueue(newJobs);
+function renderHtml(blocks) {
+  const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const body = blocks.map(block => {
+    if (block.heading) return `<h${block.level}>${escape(block.heading)}</h${block.level}>`;
+    if (block.list) return `<ul>${block.list.map(item => `<li>${escape(item)}</li>`).join('')}</ul>`;
+    if (block.table) {
+      const { head, rows } = block.table;
+      return `<table><tr>${head.map(h => `<th>${escape(h)}</th>`).join('')}</tr>${
+        rows.map(row => `<tr>${row.map(value => `<td>${escape(value)}</td>`).join('')}</tr>`).join('')
+      }</table>`;
+    }
+    return `<p>${escape(block.text)}</p>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>ATS Report</title>
+<style>
+  body { font-family: Arial, sans-serif; font-size: 15px; line-height: 1.5; color: #222; max-width: 960px; margin: 32px auto; padding: 0 16px; }
+  table { border-collapse: collapse; margin: 12px 0; }
+  th, td { border: 1px solid #ddd; padding: 6px 10px; text-align: left; }
+  th { background: #f5f5f5; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
 
-    console.log(`\n📨 Processing newly added jobs...`);
-    await processJobQueue(senderName);
+// ATS commands: `npm run ats` lists the score per resume version, `npm run ats -- report [md|html] [file]` writes the full report
+async function runAtsCommand(args) {
+  const [action = 'history', format = 'md', file] = args;
+  const versions = await getResumeVersions();
+  if (versions.length === 0) {
+    console.log('⚠️ No resume analyses yet — one is recorded every time the profile stage extracts a resume version');
+    return;
+  }
 
-    const stats = await getJobStats();
-    const remainingInQueue = await getQueueSize();
+  if (action === 'history') {
+    const date = value => new Date(value).toLocaleDateString('en-IN', { timeZone: CONFIG.schedule.timezone });
+    console.log(`\n📈 ATS SCORE HISTORY (${versions.length} resume versions)`);
+    console.log('─'.repeat(60));
+    versions.forEach((v, i) => {
+      const score = v.analysis.atsScore;
+      console.log(`   v${v.version} ${v.hash.slice(0, 12)} ${date(v.analyzedAt)}  ${formatScoreBar(score)} ${score ?? '?'}/100 (${formatScoreChange(score, versions[i - 1])})`);
+    });
+    console.log('─'.repeat(60));
+    console.log('💡 Run `npm run ats -- report [md|html]` for keyword trends and the changes between versions');
+    return;
+  }
 
-    console.log('\n' + '═'.repeat(60));
-    console.log('📊 CYCLE STATS');
-    console.log('═'.repeat(60));
-    console.log(`   📈 All time: Total ${stats.total} | ✅ Sent ${stats.sent} | ❌ Failed ${stats.failed}`);
-    console.log(`   📬 Queue: ${remainingInQueue} jobs pending`);
-    console.log('═'.repeat(60));
+  if (action !== 'report' || !['md', 'html'].includes(format)) {
+    console.error('❌ Usage: npm run ats -- [history|report [md|html] [file]]');
+    process.exitCode = 1;
+    return;
+  }
 
-    console.log('\n✨ Job application cycle completed!');
-    console.log(`🕐 Last Run: ${getLastRunTime()}\n`);
+  const blocks = buildAtsReport(versions, await getTargetedJobTexts());
+  const outputPath = path.resolve(file || path.join(HOME_DIR, `ats-report.${format}`));
+  await fs.writeFile(outputPath, format === 'html' ? renderHtml(blocks) : renderMarkdown(blocks));
+  console.log(`✅ ATS report for ${versions.length} resume versions written to ${outputPath}`);
+}
 
-  } catch (error) {
-    console.error('💥 Fatal error in job application cycle:', error.message);
-    console.log(`🕐 Last Run (Failed): ${getLastRunTime()}\n`);
+// Do-not-contact commands: `npm run suppress -- <list|add|remove> [email|domain|company] [value] [reason]`
+async function runSuppressCommand(args) {
+  const [action = 'list', kind, value, ...reason] = args;
+
+  if (action === 'list') {
+    const entries = await listSuppressions();
+    console.log(`\n🛑 DO-NOT-CONTACT LIST (${entries.length} entries)`);
+    console.log('─'.repeat(60));
+    for (const entry of entries) {
+      const addedAt = new Date(entry.addedAt).toLocaleDateString('en-IN', { timeZone: CONFIG.schedule.timezone });
+      console.log(`   ${entry.kind.padEnd(8)} ${entry.value} — added ${addedAt}${entry.reason ? ` (${entry.reason})` : ''}`);
+    }
+    console.log('─'.repeat(60));
+    return;
   }
-}
 
-async function initialStartupRun() {
-  console.log('\n' + '🎬'.repeat(20));
-  console.log('🎬 INITIAL STARTUP RUN');
-  console.log('🎬'.repeat(20));
+  if (!['add', 'remove'].includes(action) || !SUPPRESSION_KINDS.includes(kind) || !value) {
+    console.error(`❌ Usage: npm run suppress -- <list|add <${SUPPRESSION_KINDS.join('|')}> <value> [reason]|remove <${SUPPRESSION_KINDS.join('|')}> <value>>`);
+    process.exitCode = 1;
+    return;
+  }
 
-  try {
-    let senderName = SENDER_NAME; // Initialize with default/env SENDER_NAME
+  if (action === 'add') {
+    const added = await addSuppression(kind, value, reason.join(' ') || 'added manually');
+    console.log(added ? `✅ Added ${kind} ${normalizeSuppression(kind, value)} to the do-not-contact list` : `ℹ️  ${kind} ${normalizeSuppression(kind, value)} is already on the list`);
+    return;
+  }
 
-    // Process existing queue FIRST
-    const initialQueueSize = await getQueueSize();
-    if (initialQueueSize > 0) {
-      console.log(`\n📋 Processing existing queue (${initialQueueSize} jobs)...`);
-      await processJobQueue(senderName);
+  if (!(await removeSuppression(kind, value))) {
+    console.error(`❌ ${kind} ${normalizeSuppression(kind, value)} is not on the do-not-contact list`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`✅ Removed ${kind} ${normalizeSuppression(kind, value)} from the do-not-contact list`);
+}
 
-      const remainingAfterClear = await getQueueSize();
-      if (remainingAfterClear > 0) {
-        console.log(`⚠️ Warning: ${remainingAfterClear} jobs failed to send (will retry later)`);
-      } else {
-        console.log(`✅ Queue completely cleared!`);
-      }
-    } else {
-      console.log(`\n📋 Queue is already empty. ✅`);
-    }
+// Pipeline commands: `npm run pipeline -- <status|run|resume|queue> [stage] [company]`
+function formatStepStatus(slot) {
+  const icons = { done: '✅', skipped: '⏭️ ', failed: '❌', pending: '⏳' };
+  return `${icons[slot?.status] || '⏳'} ${slot?.status || 'pending'}`;
+}
 
-    // Now, upload resume and call Gemini for new jobs
-    const resumeFile = await uploadResume();
+function printPipelineStatus(run) {
+  const contacts = Object.entries(run.stages.contacts);
+  const drafts = Object.entries(run.stages.drafts)
+    .flatMap(([company, byEmail]) => Object.entries(byEmail).map(([email, slot]) => [`${email} @ ${company}`, slot]));
+  const countBy = (entries, status) => entries.filter(([, slot]) => slot.status === status).length;
+
+  console.log('\n' + '═'.repeat(60));
+  console.log(`🧪 PIPELINE RUN ${run.runId}`);
+  console.log('═'.repeat(60));
+  console.log(`   Started: ${new Date(run.startedAt).toLocaleString('en-IN', { timeZone: CONFIG.schedule.timezone })}`);
+  console.log(`   Updated: ${new Date(run.updatedAt).toLocaleString('en-IN', { timeZone: CONFIG.schedule.timezone })}`);
+  if (run.llm) console.log(`   LLM:     ${run.llm.provider} (${run.llm.model})`);
+  const profile = run.stages.profile;
+  const profileNotes = [profile.cached && 'cached', profile.overrides?.length > 0 && `${profile.overrides.length} override(s)`].filter(Boolean);
+  console.log(`\n   1. profile:  ${formatStepStatus(profile)}${profileNotes.length > 0 ? ` (${profileNotes.join(', ')})` : ''}${profile.error ? ` — ${profile.error}` : ''}`);
+  const sources = run.stages.sources;
+  console.log(`   2. sources:  ${formatStepStatus(sources)}${sources?.output ? ` — ${sources.output.length} listings` : ''}${sources?.reason ? ` — ${sources.reason}` : ''}${sources?.error ? ` — ${sources.error}` : ''}`);
+  console.log(`   3. jobs:     ${formatStepStatus(run.stages.jobs)}${run.stages.jobs.output ? ` — ${run.stages.jobs.output.length} jobs` : ''}${run.stages.jobs.error ? ` — ${run.stages.jobs.error}` : ''}`);
+  (run.stages.jobs.dropped || [])
+    .forEach(d => console.log(`        🗑️  ${d.item || 'job'}: ${d.reasons.join('; ')}`));
+  console.log(`   4. contacts: ✅ ${countBy(contacts, 'done')} done | ⏭️  ${countBy(contacts, 'skipped')} skipped | ❌ ${countBy(contacts, 'failed')} failed`);
+  contacts.filter(([, slot]) => slot.status === 'failed')
+    .forEach(([company, slot]) => console.log(`        ❌ ${company}: ${slot.error}`));
+  console.log(`   5. drafts:   ✅ ${countBy(drafts, 'done')} done | ⏭️  ${countBy(drafts, 'skipped')} skipped | ❌ ${countBy(drafts, 'failed')} failed`);
+  drafts.filter(([, slot]) => slot.status === 'failed')
+    .forEach(([label, slot]) => console.log(`        ❌ ${label}: ${slot.error}`));
+  console.log('═'.repeat(60));
+}
 
-    // Single Gemini call for everything
-    console.log('\n🔍 Analyzing resume and searching for jobs...');
-    const { profile, jobs } = await analyzeAndFindJobs(resumeFile);
+async function rerunPipelineStage(run, stage, options = {}) {
+  if (stage === 'profile') {
+    const file = await getResumeFile();
+    run.resumeFile = describeResumeFile(file);
+    return runProfileStage(run, file, { refresh: options.refresh });
+  }
 
-    if (!profile) {
-      console.log('❌ Failed to extract profile. Cannot proceed.');
-      return null;
-    }
+  if (run.stages.profile.status !== 'done') {
+    throw new Error('Profile stage has not completed. Run `npm run pipeline -- run profile` first.');
+  }
+  if (stage === 'sources') return runJobSourceStage(run);
+  if (stage === 'jobs') return runJobDiscoveryStage(run);
 
-    // Update senderName if profile is successfully extracted
-    senderName = profile.name || SENDER_NAME;
+  if (run.stages.jobs.status !== 'done') {
+    throw new Error('Jobs stage has not completed. Run `npm run pipeline -- run jobs` first.');
+  }
+  if (stage === 'contacts') return runContactStage(run, options);
+  if (stage === 'drafts') return runDraftStage(run, options);
+}
 
-    if (jobs.length === 0) {
-      console.log('\n⚠️ No new jobs found.');
-    } else {
-      console.log(`\n🔍 STEP 2: Filtering jobs...`);
-      const newJobs = [];
+async function runPipelineCommand(args) {
+  const [action = 'status', stage, ...companyParts] = args;
+  // An edited resume.pdf makes the saved profile stale before anything else reads it
+  // (a missing resume.pdf is reported by the profile stage instead)
+  await invalidateResumeCaches(await hashResume()).catch(() => {});
+  const run = await loadPipelineRun();
+
+  if (!run) {
+    console.error('❌ No pipeline run found. Start the service once to create one.');
+    process.exitCode = 1;
+    return;
+  }
 
-      for (const job of jobs) {
-        if (!job.recipients || job.recipients.length === 0) {
-          console.log(`   ⏭️  Skip: No contacts found for ${job.company} - ${job.role}`);
-          continue;
+  try {
+    switch (action) {
+      case 'status':
+        printPipelineStatus(run);
+        break;
+
+      case 'run': {
+        if (!PIPELINE_STAGES.includes(stage)) {
+          console.error(`❌ Usage: npm run pipeline -- run <${PIPELINE_STAGES.join('|')}> [company]`);
+          process.exitCode = 1;
+          return;
         }
+        const company = companyParts.join(' ') || null;
+        // An explicit profile run extracts again instead of using the cached extraction
+        await rerunPipelineStage(run, stage, { company, refresh: true });
+        printPipelineStatus(run);
+        console.log('💡 Run `npm run pipeline -- queue` to queue the results');
+        break;
+      }
 
-        if (!isWorkTypeAllowed(job)) {
-          console.log(`   ⏭️  Skip: On-site outside Kolkata - ${job.company} (${job.location})`);
-          continue;
+      case 'resume':
+        // Re-run only the steps that failed or never ran
+        if (run.stages.profile.status !== 'done') await rerunPipelineStage(run, 'profile');
+        if (run.stages.profile.status === 'done' && run.stages.jobs.status !== 'done') {
+          if (run.stages.sources?.status !== 'done') await rerunPipelineStage(run, 'sources');
+          await rerunPipelineStage(run, 'jobs');
         }
-
-        if (await isCompanySent(job.company)) {
-          console.log(`   ⏭️  Skip: Already contacted ${job.company}`);
-          continue;
+        if (run.stages.jobs.status === 'done') {
+          await rerunPipelineStage(run, 'contacts', { onlyIncomplete: true });
+          await rerunPipelineStage(run, 'drafts', { onlyIncomplete: true });
         }
-
-        // Filter out individual recipients already emailed
-        const freshRecipients = [];
-        for (const r of job.recipients) {
-          if (await isEmailSent(r.email)) {
-            console.log(`   ⏭️  Skip recipient: ${r.email} already emailed`);
-          } else {
-            freshRecipients.push(r);
-          }
+        printPipelineStatus(run);
+        console.log('💡 Run `npm run pipeline -- queue` to queue the results');
+        break;
+
+      case 'queue': {
+        if (run.stages.profile.status !== 'done' || run.stages.jobs.status !== 'done') {
+          console.error('❌ Profile and jobs stages must complete before queueing');
+          process.exitCode = 1;
+          return;
         }
-
-        if (freshRecipients.length === 0) {
-          console.log(`   ⏭️  Skip: All contacts at ${job.company} already emailed`);
-          continue;
+        const jobs = rankJobs(assemblePipelineJobs(run), run.stages.profile.output.profile);
+        console.log(`\n🔍 Filtering jobs...`);
+        const newJobs = await filterNewJobs(jobs);
+        if (newJobs.length === 0) {
+          console.log('⚠️ Nothing new to queue.');
+          return;
         }
-
-        newJobs.push({ ...job, recipients: freshRecipients });
-      }
-
-      if (newJobs.length > 0) {
         await addJobsToQueue(newJobs);
-
-        console.log(`\n📨 STEP 3: Processing all newly added jobs...`);
-        await processJobQueue(senderName);
-
-        const finalQueueSize = await getQueueSize();
-        if (finalQueueSize > 0) {
-          console.log(`\n⚠️ ${finalQueueSize} jobs remain in queue (will retry on next scheduled run)`);
-        } else {
-          console.log(`\n✅ All jobs processed successfully!`);
-        }
-      } else {
-        console.log('⚠️ All jobs already contacted.');
+        console.log('📬 Queued jobs are sent on the next scheduled run');
+        break;
       }
+
+      default:
+        console.error(`❌ Unknown pipeline action: ${action}`);
+        console.log('   Available: status, run <stage> [company], resume, queue');
+        process.exitCode = 1;
     }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  }
+}
 
-    const stats = await getJobStats();
-    const remainingInQueue = await getQueueSize();
+async function listCandidates() {
+  try {
+    const entries = await fs.readdir(CANDIDATES_DIR, { withFileTypes: true });
+    return entries.filter(e => e.isDirectory() && /^[\w-]+$/.test(e.name)).map(e => e.name).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
 
-    console.log('\n' + '═'.repeat(60));
-    console.log('🎉 STARTUP RUN COMPLETE');
-    console.log('═'.repeat(60));
-    console.log(`   👤 Candidate: ${senderName}`);
-    console.log(`   📈 All time: Total ${stats.total} | ✅ Sent ${stats.sent} | ❌ Failed ${stats.failed}`);
-    console.log(`   📬 Queue: ${remainingInQueue} jobs pending`);
-    console.log(`   🕐 Last Run: ${getLastRunTime()}`);
-    console.log('═'.repeat(60) + '\n');
+// One child process per candidate, each with its own config, schedule, queue and history.
+// Output is prefixed with the candidate; a candidate that stops does not stop the others.
+function runCandidates(candidates) {
+  console.log('\n' + '═'.repeat(60));
+  console.log(`👥 Starting ${candidates.length} candidates: ${candidates.join(', ')}`);
+  console.log(SHARED_CONTACT_DAYS > 0
+    ? `👥 Contacts are shared: nobody emails a person another candidate emailed in the last ${SHARED_CONTACT_DAYS} days`
+    : '👥 Contacts are not shared (set SHARED_CONTACT_DAYS to hold contacts across candidates)');
+  console.log('═'.repeat(60));
+
+  for (const candidate of candidates) {
+    const child = spawn(process.execPath, [__filename], {
+      env: { ...BASE_ENV, JOBHUNTER_CANDIDATE: candidate },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    createInterface({ input: child.stdout }).on('line', line => console.log(`[${candidate}] ${line}`));
+    createInterface({ input: child.stderr }).on('line', line => console.error(`[${candidate}] ${line}`));
+    child.on('exit', code => console.error(`👤 ${candidate} stopped (exit code ${code})`));
+  }
+}
 
-    return profile;
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  // With several candidates set up, commands work on one of them and the service runs all of them
+  if (!CANDIDATE) {
+    const candidates = await listCandidates();
+    if (candidates.length > 0 && command) {
+      console.error(`❌ Several candidates are set up — choose one: JOBHUNTER_CANDIDATE=<${candidates.join('|')}> npm run ${command}`);
+      process.exitCode = 1;
+      return;
+    }
+    if (candidates.length > 0) {
+      runCandidates(candidates);
+      return;
+    }
+  }
 
-  } catch (error) {
-    console.error('💥 Fatal error in initial startup run:', error.message);
-    console.log(`🕐 Last Run (Failed): ${getLastRunTime()}\n`);
-    return null;
+  if (command === 'review') {
+    await runReviewCommand(args);
+    return;
   }
-}
 
-async function verifySetup() {
-  console.log('\n' + '🔧'.repeat(20));
-  console.log('🔧 VERIFYING SETUP');
-  console.log('🔧'.repeat(20) + '\n');
+  if (command === 'followups') {
+    await runFollowUpsCommand(args);
+    return;
+  }
 
-  // Check environment variables
-  const requiredEnvVars = ['GEMINI_API_KEY', 'SMTP_USER', 'SMTP_PASS'];
-  const missing = requiredEnvVars.filter(key => !process.env[key]);
+  if (command === 'pipeline') {
+    await runPipelineCommand(args);
+    return;
+  }
 
-  if (missing.length > 0) {
-    console.error(`❌ Missing environment variables: ${missing.join(', ')}`);
-    console.log('\n📋 Required environment variables:');
-    console.log('   🔑 GEMINI_API_KEY - Google Gemini API key');
-    console.log('   📧 SMTP_USER      - Email address (e.g., your-email@gmail.com)');
-    console.log('   🔐 SMTP_PASS      - Email password or app password');
-    console.log('\n📋 Optional environment variables:');
-    console.log('   🌐 SMTP_HOST      - SMTP server (default: smtp.gmail.com)');
-    console.log('   🔌 SMTP_PORT      - SMTP port (default: 587)');
-    console.log('   🔒 SMTP_SECURE    - Use SSL (default: false, true for port 465)');
-    console.log('   📤 SENDER_EMAIL   - From email (default: SMTP_USER)');
-    console.log('   👤 SENDER_NAME    - From name (default: extracted from resume)');
-    process.exit(1);
+  if (command === 'history') {
+    await runHistoryCommand(args);
+    return;
   }
-  console.log('✅ Environment variables configured');
 
-  // Check resume file
-  try {
-    await fs.access(RESUME_PATH);
-    console.log('✅ Resume file found');
-  } catch {
-    console.error(`❌ Resume file not found at: ${RESUME_PATH}`);
-    console.log('📝 Please place your resume as "resume.pdf" in the project root directory.');
-    process.exit(1);
+  if (command === 'suppress') {
+    await runSuppressCommand(args);
+    return;
   }
 
-  // Test SMTP connection
-  try {
-    await transporter.verify();
-    console.log('✅ SMTP connection verified');
-  } catch (error) {
-    console.error('❌ SMTP connection failed:', error.message);
-    console.log('\n📧 For Gmail, make sure to:');
-    console.log('   1️⃣  Enable 2-Factor Authentication');
-    console.log('   2️⃣  Create an App Password at https://myaccount.google.com/apppasswords');
-    console.log('   3️⃣  Use the App Password as SMTP_PASS');
-    process.exit(1);
+  if (command === 'profile') {
+    await runProfileCommand(args);
+    return;
   }
 
-  // Check/create jobs.json
-  try {
-    await fs.access(JOBS_DB_PATH);
-    const stats = await getJobStats();
-    console.log(`✅ Jobs database found (${stats.total} jobs tracked)`);
-  } catch {
-    await saveJobsDb({ jobs: [], sentEmails: [], sentCompanies: [] });
-    console.log('✅ Jobs database created');
+  if (command === 'ats') {
+    await runAtsCommand(args);
+    return;
   }
 
-  // Check queue
-  const queueSize = await getQueueSize();
-  if (queueSize > 0) {
-    console.log(`✅ Job queue found (${queueSize} pending jobs)`);
-  } else {
-    console.log('✅ Job queue initialized (empty)');
+  if (command === 'variants') {
+    await runVariantsCommand();
+    return;
   }
 
-  console.log('\n🎉 All checks passed!\n');
-}
+  if (command === 'inbox') {
+    if (!IMAP_ENABLED) {
+      console.error('❌ Inbox polling is disabled (set IMAP_HOST)');
+      process.exitCode = 1;
+      return;
+    }
+    await pollInbox();
+    return;
+  }
 
-async function main() {
   console.log('\n');
   console.log('╔════════════════════════════════════════════════════════════╗');
   console.log('║  🤖 AI JOB APPLICATION BOT                                 ║');
@@ -1083,6 +5937,7 @@ async function main() {
   console.log('╚════════════════════════════════════════════════════════════╝');
 
   await verifySetup();
+  watchResume();
 
   const noCron = process.env.NO_CRON === 'true';
 
@@ -1090,33 +5945,32 @@ async function main() {
     console.log('🔁 Mode: CONTINUOUS (NO_CRON=true) — cycles run back-to-back\n');
 
     // Continuous loop: initial run then keep cycling
-    await initialStartupRun();
+    await withCycleLock('the startup run', initialStartupRun);
 
     while (true) {
       console.log('\n🔄 Starting next cycle immediately...');
-      await runJobApplicationCycle();
+      if (!await withCycleLock('this cycle', runJobApplicationCycle)) await delay(60 * 1000);
     }
   } else {
     console.log('⏰ Mode: SCHEDULED (NO_CRON=false) — cron runs at fixed times\n');
 
     // Run initial startup sequence then hand off to cron
     console.log('🚀 Running initial startup sequence...\n');
-    await initialStartupRun();
+    await withCycleLock('the startup run', initialStartupRun);
 
-    const schedules = [
-      { cron: '0 11 * * *', label: '11:00 AM IST' },
-      { cron: '0 14 * * *', label: '2:00 PM IST' },
-      { cron: '0 17 * * *', label: '5:00 PM IST' },
-      { cron: '0 21 * * *', label: '9:00 PM IST' },
-    ];
+    const schedules = CONFIG.schedule.times.map(time => {
+      const [hour, minute] = time.split(':').map(Number);
+      const clock = `${hour % 12 || 12}:${String(minute).padStart(2, '0')} ${hour < 12 ? 'AM' : 'PM'}`;
+      return { cron: `${minute} ${hour} * * *`, label: `${clock} (${CONFIG.schedule.timezone})` };
+    });
 
     schedules.forEach(({ cron: cronExpr, label }) => {
       cron.schedule(cronExpr, async () => {
         console.log(`\n⏰ Scheduled run triggered at ${label}`);
-        await runJobApplicationCycle();
+        await withCycleLock('the scheduled run', runJobApplicationCycle);
       }, {
         scheduled: true,
-        timezone: 'Asia/Kolkata'
+        timezone: CONFIG.schedule.timezone
       });
     });
 
@@ -1133,4 +5987,30 @@ async function main() {
   }
 }
 
-main().catch(console.error);
+// Run as a script (`npm start`, `npm run <command>`); the tests import the module without starting it
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch(console.error);
+}
+
+export {
+  CONFIG,
+  DAY_MS,
+  classifyReply,
+  classifySendError,
+  decodeEntities,
+  extractReplySnippet,
+  extractReplyText,
+  findActiveCooldown,
+  getCooldownUntil,
+  getInboxState,
+  getStore,
+  loadAddressContacts,
+  loadCompanyContacts,
+  markJobSent,
+  migrateStore,
+  parseBounce,
+  parseReply,
+  pollInbox,
+  sendEmail,
+  validateResponse
+};
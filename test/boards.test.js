@@ -0,0 +1,11 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeEntities } from '../index.js';
+
+test('decodeEntities decodes named and numeric entities', () => {
+  assert.equal(decodeEntities('R&amp;D &lt;team&gt; &#8211; &#x1F680;'), 'R&D <team> – 🚀');
+});
+
+test('decodeEntities keeps invalid numeric entities as they are', () => {
+  assert.equal(decodeEntities('a &#99999999; b &#xD800; c'), 'a &#99999999; b &#xD800; c');
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { CONFIG, DAY_MS, findActiveCooldown, getCooldownUntil, loadAddressContacts, loadCompanyContacts, migrateStore } from '../index.js';
+
+function createStore() {
+  const db = new Database(':memory:');
+  migrateStore(db);
+  return db;
+}
+
+function addCompany(db, name, createdAt) {
+  const { lastInsertRowid } = db.prepare('INSERT INTO companies (name, domain, created_at) VALUES (?, NULL, ?)').run(name, createdAt);
+  return Number(lastInsertRowid);
+}
+
+test('getCooldownUntil adds the outcome cooldown to the contact date', () => {
+  const at = '2026-01-01T00:00:00.000Z';
+  assert.equal(getCooldownUntil({ outcome: 'sent', at }), Date.parse(at) + CONFIG.cooldowns.sent * DAY_MS);
+  assert.equal(getCooldownUntil({ outcome: 'optedOut', at }), Date.parse(at) + CONFIG.cooldowns.optedOut * DAY_MS);
+  assert.equal(getCooldownUntil({ outcome: 'sent', at: null }), Infinity);
+});
+
+test('a company imported from sentCompanies is contactable again after cooldowns.sent days', () => {
+  const db = createStore();
+  const old = new Date(Date.now() - (CONFIG.cooldowns.sent + 1) * DAY_MS).toISOString();
+  const recent = new Date(Date.now() - DAY_MS).toISOString();
+  const oldId = addCompany(db, 'Oldco', old);
+  const recentId = addCompany(db, 'Newco', recent);
+  db.prepare('INSERT INTO sent_companies (company_id) VALUES (?), (?)').run(oldId, recentId);
+
+  // Entities as resolveCompany returns them may lack created_at; the import date must still be found
+  const [oldContact] = loadCompanyContacts(db, { id: oldId, name: 'Oldco', domain: null });
+  assert.equal(oldContact.at, old);
+  assert.equal(findActiveCooldown([oldContact], null), null);
+
+  const [recentContact] = loadCompanyContacts(db, { id: recentId, name: 'Newco', domain: null });
+  assert.equal(recentContact.until, Date.parse(recent) + CONFIG.cooldowns.sent * DAY_MS);
+  assert.ok(findActiveCooldown([recentContact], null));
+});
+
+test('the recipient outcome with the longest cooldown counts for a sent job', () => {
+  const db = createStore();
+  const id = addCompany(db, 'Acme', new Date().toISOString());
+  const sentAt = new Date(Date.now() - 10 * DAY_MS).toISOString();
+  const job = {
+    company: 'Acme', role: 'Engineer', status: 'sent', sentAt,
+    sentRecipients: [{ email: 'a@acme.io', sentAt }, { email: 'b@acme.io', sentAt, repliedAt: sentAt, replyClassification: 'negative' }]
+  };
+  db.prepare("INSERT INTO jobs (company, company_key, status, recorded_at, data, company_id) VALUES ('Acme', 'acme', 'sent', ?, ?, ?)")
+    .run(sentAt, JSON.stringify(job), id);
+
+  const [contact] = loadCompanyContacts(db, { id, name: 'Acme', domain: null });
+  assert.equal(contact.outcome, CONFIG.cooldowns.negative >= CONFIG.cooldowns.sent ? 'negative' : 'sent');
+});
+
+test('a recipient rejected in review at an emailed company gets the rejected cooldown', () => {
+  const db = createStore();
+  const sentAt = new Date(Date.now() - DAY_MS).toISOString();
+  const job = {
+    company: 'Acme', role: 'Engineer', status: 'sent', sentAt,
+    sentRecipients: [{ email: 'a@acme.io', sentAt }],
+    rejectedRecipients: [{ email: 'B@acme.io', rejectedAt: sentAt }]
+  };
+  db.prepare("INSERT INTO jobs (company, company_key, status, recorded_at, data) VALUES ('Acme', 'acme', 'sent', ?, ?)")
+    .run(sentAt, JSON.stringify(job));
+
+  const [contact] = loadAddressContacts(db, 'b@acme.io');
+  assert.equal(contact.outcome, 'rejected');
+  assert.equal(contact.until, Date.parse(sentAt) + CONFIG.cooldowns.rejected * DAY_MS);
+  assert.ok(findActiveCooldown([contact], 'Engineer'));
+});
+
+test('differentRoleFamily blocks the same family and allows a different one', t => {
+  t.after(() => { CONFIG.cooldowns.differentRoleFamily = false; });
+  CONFIG.cooldowns.differentRoleFamily = true;
+  const past = [{ outcome: 'sent', at: '2020-01-01T00:00:00.000Z', until: 0, role: 'Backend Engineer' }];
+
+  assert.equal(findActiveCooldown(past, 'Senior Backend Developer').sameRoleFamily, 'Backend');
+  assert.equal(findActiveCooldown(past, 'Data Scientist'), null);
+  // A past contact that reached nobody does not block the family
+  assert.equal(findActiveCooldown([{ ...past[0], outcome: 'failed' }], 'Backend Developer'), null);
+});
+
+test('role families go to the most specific match whatever their order', t => {
+  const families = CONFIG.cooldowns.roleFamilies;
+  t.after(() => { CONFIG.cooldowns.roleFamilies = families; CONFIG.cooldowns.differentRoleFamily = false; });
+  CONFIG.cooldowns.differentRoleFamily = true;
+  const contact = role => [{ outcome: 'sent', at: '2020-01-01T00:00:00.000Z', until: 0, role }];
+  const custom = [['Engineering', 'engineer'], ['Data', 'data engineer', 'data']];
+
+  for (const order of [families, [...families].reverse()]) {
+    CONFIG.cooldowns.roleFamilies = order;
+    assert.equal(findActiveCooldown(contact('Engineering Manager'), 'Senior Product Manager'), null);
+    assert.equal(findActiveCooldown(contact('Product Owner'), 'Senior Product Manager').sameRoleFamily, 'Product');
+    assert.equal(findActiveCooldown(contact('Full Stack Developer'), 'Full Stack Data Engineer').sameRoleFamily, 'Full Stack');
+  }
+  for (const order of [custom, [...custom].reverse()]) {
+    CONFIG.cooldowns.roleFamilies = order;
+    assert.equal(findActiveCooldown(contact('Data Analyst'), 'Data Engineer').sameRoleFamily, 'Data');
+    assert.equal(findActiveCooldown(contact('Data Analyst'), 'Backend Engineer'), null);
+  }
+});
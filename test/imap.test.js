@@ -0,0 +1,115 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import hoodiecrow from 'hoodiecrow-imap';
+
+// index.js reads its settings on import: the store goes into a throwaway candidate folder (candidates/ is
+// gitignored) and each sending account gets its own local IMAP server
+const candidate = `test-imap-${process.pid}`;
+const candidatesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'candidates');
+const candidateDir = path.join(candidatesDir, candidate);
+const hadCandidatesDir = fs.existsSync(candidatesDir);
+
+const servers = {};
+let jobhunter;
+
+function startImapServer(user) {
+  const server = hoodiecrow({ users: { [user]: { password: 'secret' } }, storage: { INBOX: { messages: [] } } });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function deliver(server, lines) {
+  server.appendMessage('INBOX', [], new Date(), lines.join('\r\n'));
+}
+
+async function loadSentRecipient(email) {
+  const db = await jobhunter.getStore();
+  for (const row of db.prepare('SELECT data FROM jobs').all()) {
+    const recipient = JSON.parse(row.data).sentRecipients?.find(r => r.email === email);
+    if (recipient) return recipient;
+  }
+  return null;
+}
+
+before(async () => {
+  fs.mkdirSync(candidateDir, { recursive: true });
+  servers.default = await startImapServer('me@x.io');
+  servers.work = await startImapServer('work@x.io');
+
+  Object.assign(process.env, {
+    JOBHUNTER_CANDIDATE: candidate,
+    SMTP_USER: 'me@x.io',
+    SMTP_PASS: 'secret',
+    SMTP_ACCOUNTS: 'work',
+    SMTP_WORK_USER: 'work@x.io',
+    SMTP_WORK_PASS: 'secret',
+    IMAP_HOST: '127.0.0.1',
+    IMAP_SECURE: 'false',
+    IMAP_PORT: String(servers.default.server.address().port),
+    IMAP_WORK_PORT: String(servers.work.server.address().port),
+  });
+  jobhunter = await import('../index.js');
+
+  await jobhunter.markJobSent({ company: 'Acme', role: 'Backend Engineer' }, [
+    { email: 'cto@acme.io', messageId: '<acme-1@x.io>', sentAt: new Date().toISOString(), account: 'default', sentFrom: 'me@x.io' },
+    { email: 'gone@acme.io', messageId: '<acme-2@x.io>', sentAt: new Date().toISOString(), account: 'default', sentFrom: 'me@x.io' }
+  ]);
+  await jobhunter.markJobSent({ company: 'Beta', role: 'Backend Engineer' }, [
+    { email: 'lead@beta.io', messageId: '<beta-1@x.io>', sentAt: new Date().toISOString(), account: 'work', sentFrom: 'work@x.io' },
+    { email: 'hr@beta.io', messageId: '<beta-2@x.io>', sentAt: new Date().toISOString(), account: 'work', sentFrom: 'work@x.io' }
+  ]);
+});
+
+after(async () => {
+  (await jobhunter?.getStore())?.close();
+  for (const server of Object.values(servers)) server.server.close();
+  fs.rmSync(hadCandidatesDir ? candidateDir : candidatesDir, { recursive: true, force: true });
+});
+
+test('pollInbox reads replies and opt-outs sent to every sending account', async () => {
+  deliver(servers.default, ['From: cto@acme.io', 'To: me@x.io', 'Subject: Re: Backend Engineer', 'Message-ID: <r1@acme.io>', 'In-Reply-To: <acme-1@x.io>', '', 'Happy to refer you.']);
+  deliver(servers.work, ['From: lead@beta.io', 'To: work@x.io', 'Subject: Re: Backend Engineer', 'Message-ID: <r2@beta.io>', 'In-Reply-To: <beta-1@x.io>', '', 'Sure, send me your GitHub.']);
+  // What a mail client sends for the List-Unsubscribe mailto of the work account
+  deliver(servers.work, ['From: hr@beta.io', 'To: work@x.io', 'Subject: unsubscribe', 'Message-ID: <r3@beta.io>', '', '']);
+
+  assert.equal(await jobhunter.pollInbox(), 3);
+
+  const cto = await loadSentRecipient('cto@acme.io');
+  assert.equal(cto.replies[0].classification, 'positive');
+  assert.ok(cto.repliedAt);
+  assert.equal((await loadSentRecipient('lead@beta.io')).replies[0].classification, 'positive');
+  assert.ok((await loadSentRecipient('hr@beta.io')).optedOutAt);
+
+  // Each account keeps its own UID checkpoint
+  assert.equal((await jobhunter.getInboxState('default')).lastUid, 1);
+  assert.equal((await jobhunter.getInboxState('work')).lastUid, 2);
+});
+
+test('pollInbox only reads messages past the saved UID and records bounces', async () => {
+  assert.equal(await jobhunter.pollInbox(), 0);
+  assert.equal((await loadSentRecipient('cto@acme.io')).replies.length, 1);
+
+  deliver(servers.default, [
+    'From: MAILER-DAEMON@mx.acme.io', 'To: me@x.io', 'Subject: Undelivered Mail Returned to Sender', 'Message-ID: <dsn1@mx.acme.io>',
+    'Content-Type: multipart/report; report-type=delivery-status; boundary="b"', '',
+    '--b', 'Content-Type: text/plain', '', 'Your message could not be delivered.',
+    '--b', 'Content-Type: message/delivery-status', '',
+    'Final-Recipient: rfc822; gone@acme.io', 'Action: failed', 'Status: 5.1.1', 'Diagnostic-Code: smtp; 550 5.1.1 User unknown',
+    '--b--', ''
+  ]);
+  deliver(servers.default, ['From: cto@acme.io', 'To: me@x.io', 'Subject: Re: Backend Engineer', 'Message-ID: <r4@acme.io>', 'In-Reply-To: <acme-1@x.io>', '', 'Any update on this?']);
+
+  // The bounce is not counted as a reply
+  assert.equal(await jobhunter.pollInbox(), 1);
+  const gone = await loadSentRecipient('gone@acme.io');
+  assert.ok(gone.bouncedAt);
+  assert.equal(gone.bounceStatus, '5.1.1');
+  assert.equal((await loadSentRecipient('cto@acme.io')).replies.length, 2);
+  assert.equal((await jobhunter.getInboxState('default')).lastUid, 3);
+
+  assert.equal(await jobhunter.pollInbox(), 0);
+  assert.equal((await loadSentRecipient('cto@acme.io')).replies.length, 2);
+  assert.equal((await jobhunter.getInboxState('work')).lastUid, 2);
+});
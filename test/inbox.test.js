@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simpleParser } from 'mailparser';
+import { extractReplySnippet, parseBounce, parseReply } from '../index.js';
+
+const reply = (headers, body) => simpleParser(`${headers.join('\r\n')}\r\n\r\n${body.replace(/\n/g, '\r\n')}`);
+
+test('extractReplySnippet keeps only the new text', () => {
+  const text = 'Thanks, happy to refer you.\n\nOn Mon, 5 Oct 2026 at 10:00, Me <me@x.io> wrote:\n> I know that subject line was a lot.';
+  assert.equal(extractReplySnippet(text), 'Thanks, happy to refer you.');
+  assert.equal(extractReplySnippet('Sounds good\n> quoted line\nCheers'), 'Sounds good Cheers');
+  assert.equal(extractReplySnippet('x'.repeat(300)).length, 200);
+});
+
+test('parseReply classifies out-of-office, auto and human replies', async () => {
+  const ooo = await reply(['From: cto@acme.io', 'Subject: Out of office'], 'Back on Monday.');
+  assert.equal(parseReply(ooo).classification, 'out_of_office');
+
+  const auto = await reply(['From: cto@acme.io', 'Subject: Re: Hi', 'Auto-Submitted: auto-replied'], 'Received.');
+  assert.equal(parseReply(auto).classification, 'auto_reply');
+
+  const negative = await reply(['From: cto@acme.io', 'Subject: Re: Hi'], 'Unfortunately we are not hiring right now.');
+  assert.equal(parseReply(negative).classification, 'negative');
+
+  const positive = await reply(['From: cto@acme.io', 'Subject: Re: Hi'], 'Sure, send me your GitHub.');
+  assert.equal(parseReply(positive).classification, 'positive');
+});
+
+test('parseReply ignores negative words in the quoted original', async () => {
+  const body = [
+    'Happy to refer you, send me your resume.',
+    '',
+    'On Mon, 5 Oct 2026 at 10:00, Me <me@x.io> wrote:',
+    '> Unfortunately my last team was not a fit, so I won\'t be able to stay.',
+    '> Still, I would love to build things at Acme.'
+  ].join('\n');
+  const parsed = await reply(['From: cto@acme.io', 'Subject: Re: Hi'], body);
+  assert.equal(parseReply(parsed).classification, 'positive');
+});
+
+test('parseReply detects opt-outs in the new text and the subject only', async () => {
+  const listUnsubscribe = await reply(['From: cto@acme.io', 'Subject: unsubscribe'], '');
+  assert.equal(parseReply(listUnsubscribe).classification, 'opt_out');
+
+  const ownLine = await reply(['From: cto@acme.io', 'Subject: Re: Hi'], 'Unsubscribe');
+  assert.equal(parseReply(ownLine).classification, 'opt_out');
+
+  for (const body of ['Please stop emailing me.', 'Remove me from your mailing list', 'Do not contact me again.', 'Please unsubscribe me.']) {
+    const optOut = await reply(['From: cto@acme.io', 'Subject: Re: Hi'], body);
+    assert.equal(parseReply(optOut).classification, 'opt_out', body);
+  }
+
+  const quoted = await reply(['From: cto@acme.io', 'Subject: Re: Hi'], [
+    'Sure, let us talk on Friday.',
+    '',
+    'On Mon, 5 Oct 2026 at 10:00, Me <me@x.io> wrote:',
+    '> Reply "unsubscribe" and I will not contact you again.',
+    '> Do not contact me if this is a bad fit.'
+  ].join('\n'));
+  assert.equal(parseReply(quoted).classification, 'positive');
+
+  const footer = await reply(['From: cto@acme.io', 'Subject: Re: Hi'], [
+    'Sounds great, call me tomorrow.',
+    'Click here to unsubscribe from our newsletter.',
+    '-- ',
+    'Acme Inc. To opt out of marketing mail, do not contact us.'
+  ].join('\n'));
+  assert.equal(parseReply(footer).classification, 'positive');
+});
+
+test('parseReply does not treat ordinary phrasing as an opt-out', async () => {
+  for (const body of [
+    "Do not contact HR, I'll refer you directly.",
+    'Remove me as the hiring contact, Jane owns this role now. She is cc-ed.',
+    "Don't email me, message me on LinkedIn instead.",
+    'You can opt out of the take-home and do a live session.',
+    'Stop by the office on Friday?'
+  ]) {
+    const parsed = await reply(['From: cto@acme.io', 'Subject: Re: Hi'], body);
+    assert.equal(parseReply(parsed).classification, 'positive', body);
+  }
+});
+
+test('parseBounce reads permanent failures from a delivery status report', async () => {
+  const raw = [
+    'From: MAILER-DAEMON@mx.acme.io',
+    'Subject: Undelivered Mail Returned to Sender',
+    'Content-Type: multipart/report; report-type=delivery-status; boundary="b"',
+    '',
+    '--b',
+    'Content-Type: text/plain',
+    '',
+    'Your message could not be delivered.',
+    '--b',
+    'Content-Type: message/delivery-status',
+    '',
+    'Final-Recipient: rfc822; nobody@acme.io',
+    'Action: failed',
+    'Status: 5.1.1',
+    'Diagnostic-Code: smtp; 550 5.1.1 User unknown',
+    '--b--',
+    ''
+  ].join('\r\n');
+  const bounce = parseBounce(await simpleParser(raw));
+  assert.deepEqual(bounce.recipients, ['nobody@acme.io']);
+  assert.equal(bounce.status, '5.1.1');
+  assert.equal(bounce.diagnostic, 'smtp; 550 5.1.1 User unknown');
+});
+
+test('parseBounce ignores delays and ordinary mail', async () => {
+  const delayed = await simpleParser([
+    'From: postmaster@acme.io',
+    'Subject: Delivery delayed',
+    '',
+    'Action: delayed',
+    'Status: 4.4.7',
+    ''
+  ].join('\r\n'));
+  assert.equal(parseBounce(delayed), null);
+
+  const human = await reply(['From: cto@acme.io', 'Subject: Re: Hi'], 'Status: 5.1.1 is my favourite code.');
+  assert.equal(parseBounce(human), null);
+});
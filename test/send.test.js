@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifySendError } from '../index.js';
+
+// Shaped like the errors nodemailer throws
+function smtpError(responseCode, response) {
+  return Object.assign(new Error(`Can't send mail - all recipients were rejected: ${response}`), { code: 'EENVELOPE', responseCode, response });
+}
+
+test('classifySendError treats 4xx replies as transient', () => {
+  assert.deepEqual(classifySendError(smtpError(451, '451 4.2.0 Mailbox busy, try later')), { transient: true, reason: '451 4.2.0 temporary failure' });
+  assert.equal(classifySendError(smtpError(421, '421 Service not available')).transient, true);
+});
+
+test('classifySendError treats 5xx replies as permanent', () => {
+  assert.deepEqual(classifySendError(smtpError(550, '550 5.1.1 User unknown')), { transient: false, reason: '550 5.1.1 rejected' });
+  assert.equal(classifySendError(smtpError(554, '554 5.7.1 Message rejected by policy')).transient, false);
+});
+
+test('classifySendError retries connection problems', () => {
+  for (const code of ['ETIMEDOUT', 'ECONNECTION', 'ESOCKET']) {
+    assert.deepEqual(classifySendError(Object.assign(new Error('socket trouble'), { code })), { transient: true, reason: `connection problem (${code})` });
+  }
+});
+
+test('classifySendError flags authentication failures so they do not use up attempts', () => {
+  const result = classifySendError(Object.assign(new Error('Invalid login: 535 5.7.8 Bad credentials'), { code: 'EAUTH', responseCode: 535 }));
+  assert.equal(result.authFailure, true);
+  assert.equal(result.reason, 'authentication failed');
+});
+
+test('classifySendError treats unknown errors as permanent', () => {
+  assert.deepEqual(classifySendError(new Error('No email body generated')), { transient: false, reason: 'No email body generated' });
+});
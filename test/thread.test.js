@@ -0,0 +1,53 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// The sent history lives in a throwaway candidate folder (candidates/ is gitignored)
+const candidate = `test-thread-${process.pid}`;
+const candidatesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'candidates');
+const candidateDir = path.join(candidatesDir, candidate);
+const hadCandidatesDir = fs.existsSync(candidatesDir);
+
+let jobhunter;
+const sent = [];
+// A sending account whose transport records the message instead of sending it
+const account = {
+  email: 'me@x.io',
+  transport: { sendMail: async message => { sent.push(message); return { messageId: `<out-${sent.length}@x.io>` }; } }
+};
+
+before(async () => {
+  fs.mkdirSync(candidateDir, { recursive: true });
+  Object.assign(process.env, { JOBHUNTER_CANDIDATE: candidate, SMTP_USER: 'me@x.io', SMTP_PASS: 'secret' });
+  jobhunter = await import('../index.js');
+
+  await jobhunter.markJobSent({ company: 'Acme', role: 'Backend Engineer' }, [
+    { email: 'cto@acme.io', messageId: '<acme-1@x.io>', sentAt: new Date().toISOString(), account: 'default', sentFrom: 'me@x.io' }
+  ]);
+});
+
+after(async () => {
+  (await jobhunter?.getStore())?.close();
+  fs.rmSync(hadCandidatesDir ? candidateDir : candidatesDir, { recursive: true, force: true });
+});
+
+test('sendEmail threads a later email to an address under its last sent message', async () => {
+  await jobhunter.sendEmail(['CTO@acme.io'], 'Platform Engineer at Acme', 'Hi', 'Me', { attachResume: false, accounts: [account] });
+  assert.equal(sent.at(-1).inReplyTo, '<acme-1@x.io>');
+  assert.deepEqual(sent.at(-1).references, ['<acme-1@x.io>']);
+});
+
+test('sendEmail starts a new thread for a new address or with thread: null', async () => {
+  await jobhunter.sendEmail(['new@acme.io'], 'Backend Engineer at Acme', 'Hi', 'Me', { attachResume: false, accounts: [account] });
+  assert.equal(sent.at(-1).inReplyTo, undefined);
+
+  await jobhunter.sendEmail(['cto@acme.io'], 'Backend Engineer at Acme', 'Hi', 'Me', { attachResume: false, accounts: [account], thread: null });
+  assert.equal(sent.at(-1).inReplyTo, undefined);
+});
+
+test('sendEmail names the resume attachment after its file', async () => {
+  await jobhunter.sendEmail(['new@acme.io'], 'Frontend Engineer at Acme', 'Hi', 'Me', { accounts: [account], resumePath: '/tmp/resumes/frontend.pdf', thread: null });
+  assert.equal(sent.at(-1).attachments[0].filename, 'frontend.pdf');
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateResponse } from '../index.js';
+
+const analysis = atsScore => validateResponse('analysis', { atsScore });
+
+test('validateResponse reads the leading number of a score written as text', () => {
+  const outOf100 = analysis('85/100');
+  assert.equal(outOf100.value.atsScore, 85);
+  assert.deepEqual(outOf100.repairs, ['analysis.atsScore: parsed "85/100" as 85']);
+
+  const outOf10 = analysis('8.5 out of 10');
+  assert.equal(outOf10.value.atsScore, 8.5);
+  assert.deepEqual(outOf10.errors, []);
+
+  assert.equal(analysis('1,200').value.atsScore, 100);
+  assert.equal(analysis('about 70%').value.atsScore, 70);
+});
+
+test('validateResponse records a clamped number as a repair', () => {
+  const high = analysis(140);
+  assert.equal(high.value.atsScore, 100);
+  assert.deepEqual(high.repairs, ['analysis.atsScore: clamped 140 to 100']);
+
+  const low = analysis('-5');
+  assert.equal(low.value.atsScore, 0);
+  assert.deepEqual(low.repairs, ['analysis.atsScore: parsed "-5" as -5', 'analysis.atsScore: clamped -5 to 0']);
+
+  assert.deepEqual(analysis(72).repairs, []);
+});
+
+test('validateResponse rejects a score with no number in it', () => {
+  assert.deepEqual(analysis('excellent').errors, ['analysis.atsScore: expected a number']);
+});